@@ -23,6 +23,8 @@
 
 const fs = require( 'fs' );
 
+const SourceLocation = require( __dirname + '/../src/SourceLocation' );
+
 const opts = process.argv.slice( 2 ).reduce(
     ( opts, value, i ) =>
     {
@@ -38,74 +40,482 @@ const opts = process.argv.slice( 2 ).reduce(
     { args: [] }
 );
 
-const csv_path = opts.args[ opts.args.length - 1 ] || (() => {
-    throw Error( "Missing CSV path" );
-} )();
+// value of option (the `n'th argument following it, defaulting to the
+// first)
+const optval = ( name, n ) => ( opts[ name ] !== undefined )
+    ? process.argv[ opts[ name ] + 3 + ( n || 0 ) ]
+    : undefined;
+
+const Graph = require( __dirname + '/../src/Graph' );
+
+// a graph previously written by --emit-graph may be used in place of a
+// specification, avoiding reparsing
+const graph_path = optval( '--from-graph' );
+const emit_path  = optval( '--emit-graph' );
+
+const spec_path = ( graph_path !== undefined )
+    ? undefined
+    : opts.args[ opts.args.length - 1 ] || (() => {
+        throw Error( "Missing specification path" );
+    } )();
 
-const csvtojson = require( 'csvtojson' );
+// workbooks are read directly; everything else is assumed to be CSV
+const specRows = path => ( /\.(?:xlsx|xlsm|xls|ods)$/i.test( path ) )
+    ? new ( require( __dirname + '/../src/WorkbookReader' ) )(
+        require( 'xlsx' ),
+        optval( '--sheet' )
+    ).fromFile( path )
+    : require( 'csvtojson' )().fromFile( path );
 
 // question map, if provided
-const qmapi = opts[ '--qmap' ];
-const qmap  = ( qmapi !== undefined )
-    ? JSON.parse( fs.readFileSync( opts.args[ qmapi ] ) )
+const qmap_path = optval( '--qmap' );
+const qmap      = ( qmap_path !== undefined )
+    ? JSON.parse( fs.readFileSync( qmap_path ) )
     : {};
 
-const parser    = new ( require( __dirname + '/../src/SpecParser' ) )();
-const xmlgen    = new ( require( __dirname + '/../src/NodeXmlGenerator' ) )();
-const xmlout    = new ( require( __dirname + '/../src/XmlOutput' ) )();
-const todot     = new ( require( __dirname + '/../src/GraphToDot' ) )();
-const evaluator = new ( require( __dirname + '/../src/SpecEvaluator' ) )(
-    console.error.bind( console ),
-    qmap
+// column configuration, if provided
+const columns_path = optval( '--columns' );
+const columns      = ( columns_path !== undefined )
+    ? JSON.parse( fs.readFileSync( columns_path ) )
+    : {};
+
+const parser    = new ( require( __dirname + '/../src/SpecParser' ) )( {
+    lenient: opts[ '--lenient' ] !== undefined,
+    columns: columns,
+} );
+// all generated XML is serialized by the same printer; the indentation
+// is either a number of spaces or `tab'
+const indent    = optval( '--indent' );
+const printer   = new ( require( __dirname + '/../src/XmlPrinter' ) )( {
+    indent: ( indent === undefined )
+        ? 2
+        : ( indent === 'tab' ) ? "\t" : +indent,
+} );
+
+const xmlgen    = new ( require( __dirname + '/../src/NodeXmlGenerator' ) )(
+    printer
+);
+const xmlout    = new ( require( __dirname + '/../src/XmlOutput' ) )( printer );
+
+// Graphviz layout attributes are given as `name=value[,name=value...]';
+// values containing commas may be double-quoted, with `\"' and `\\'
+// escaping quotes and backslashes within
+const graph_attr_list = optval( '--graph-attrs' ) || '';
+
+const graph_attrs = (
+    graph_attr_list.match( /(?:"(?:[^"\\]|\\.)*"|[^,"]|")+/g ) || []
+)
+    .reduce( ( attrs, attr ) =>
+    {
+        const [ , name, value ] = attr.match(
+            /^([a-z]+)=("(?:[^"\\]|\\.)*"|[^"]+)$/
+        ) || [];
+
+        if ( name === undefined ) {
+            throw Error( `Invalid Graphviz attribute '${attr}'` );
+        }
+
+        attrs[ name ] = ( value[ 0 ] === '"' )
+            ? value.slice( 1, -1 ).replace( /\\(.)/g, '$1' )
+            : value;
+
+        return attrs;
+    }, {} );
+
+const todot     = new ( require( __dirname + '/../src/GraphToDot' ) )( {
+    cluster: opts[ '--cluster' ] !== undefined,
+    legend:  opts[ '--legend' ] !== undefined,
+    hide:    [ 'xml', 'actions' ].filter(
+        kind => opts[ `--hide-${kind}` ] !== undefined
+    ),
+    graph:   graph_attrs,
+} );
+// question id registry, if provided (created if it does not yet exist)
+const ids_path = optval( '--ids' );
+const ids_doc  = ( ( ids_path !== undefined ) && fs.existsSync( ids_path ) )
+    ? JSON.parse( fs.readFileSync( ids_path ) )
+    : undefined;
+
+const IdRegistry = require( __dirname + '/../src/IdRegistry' );
+
+const newEvaluator = registry =>
+    new ( require( __dirname + '/../src/SpecEvaluator' ) )(
+        console.error.bind( console ),
+        qmap,
+        {
+            registry:   registry,
+            collisions: ( opts[ '--strict-ids' ] !== undefined )
+                ? 'error'
+                : 'lengthen',
+        }
+    );
+
+const registry  = ( ids_path !== undefined )
+    ? new IdRegistry( ids_doc )
+    : undefined;
+const evaluator = newEvaluator( registry );
+
+const simulator = new ( require( __dirname + '/../src/AnswerSimulator' ) )();
+
+// --simulate CLASS ANSWERS
+const simulate = graph => JSON.stringify(
+    simulator.simulate(
+        graph,
+        optval( '--simulate' ),
+        JSON.parse( fs.readFileSync( optval( '--simulate', 1 ) ) )
+    ),
+    null,
+    2
+);
+
+// --program DIR
+const program = graph =>
+{
+    const dir  = optval( '--program' );
+    const docs = xmlout.toProgram( graph );
+
+    Object.keys( docs ).forEach( name =>
+    {
+        console.error( `  writing ${dir}/${name}` );
+        fs.writeFileSync( `${dir}/${name}`, docs[ name ] );
+    } );
+};
+
+const linter = new ( require( __dirname + '/../src/SpecLinter' ) )();
+
+// --lint (fails if any errors are found so that reviews can be gated)
+const lint = graph =>
+{
+    const diags   = linter.lint( graph );
+    const summary = linter.summarize( diags );
+
+    if ( summary.error > 0 ) {
+        process.exitCode = 1;
+    }
+
+    return JSON.stringify( { summary: summary, diagnostics: diags }, null, 2 );
+};
+
+const differ = new ( require( __dirname + '/../src/SpecDiff' ) )();
+
+// --diff OLD [--format text|json|dot] (the given specification is the new
+// revision)
+const diff = graph =>
+{
+    const old_path = optval( '--diff' );
+    const format   = optval( '--format' ) || 'text';
+
+    console.error( `  reading previous revision ${old_path}` );
+
+    return parser.parse( specRows( old_path ), new Graph() )
+        .then( old_graph =>
+        {
+            // the previous revision must not update the registry, but
+            // should be assigned ids from it so that qids are comparable
+            const old_registry = ( registry )
+                ? new IdRegistry( ids_doc )
+                : undefined;
+
+            return newEvaluator( old_registry ).evaluate( old_graph );
+        } )
+        .then( old_graph =>
+        {
+            switch ( format )
+            {
+                case 'text':
+                    return differ.format( differ.diff( old_graph, graph ) );
+
+                case 'json':
+                    return JSON.stringify(
+                        differ.diff( old_graph, graph ), null, 2
+                    );
+
+                case 'dot':
+                    return todot.toDot( differ.mark( old_graph, graph ) );
+            }
+
+            throw Error( `Unknown diff format: ${format}` );
+        } );
+};
+
+const qmapgen = new ( require( __dirname + '/../src/QuestionMap' ) )();
+
+// --gen-qmap (merges with --qmap, if provided)
+const genQmap = graph =>
+{
+    const result = qmapgen.generate( graph, qmap );
+
+    console.error( `  ${result.added.length} question(s) added` );
+
+    result.stale.forEach( gid =>
+        console.error( `  stale: ${gid} (${JSON.stringify( qmap[ gid ] )})` )
+    );
+
+    result.duplicates.forEach( dup =>
+        console.error(
+            `  warning: '${dup.id}' is used by ${dup.gids.join( ', ' )}`
+        )
+    );
+
+    return JSON.stringify( result.map, null, 2 );
+};
+
+// Graphviz output may be focused on a single class or question, as the full
+// graph is often too large to review
+const focus = new ( require( __dirname + '/../src/GraphFocus' ) )();
+
+const focused = graph =>
+{
+    const depthstr = optval( '--depth' );
+    const depth    = ( depthstr === undefined ) ? undefined : +depthstr;
+
+    const valid = ( depth === undefined )
+        || ( ( depth >= 0 ) && ( depth % 1 === 0 ) );
+
+    if ( !valid ) {
+        throw Error( `Invalid depth '${depthstr}'` );
+    }
+
+    return ( opts[ '--class' ] !== undefined )
+        ? focus.onClass( graph, optval( '--class' ), depth )
+        : ( opts[ '--question' ] !== undefined )
+            ? focus.onQuestion( graph, optval( '--question' ), depth )
+            : graph;
+};
+
+const dot = graph => todot.toDot( focused( graph ) );
+
+// Mermaid and PlantUML cannot render large graphs, so those with more
+// than `--split-above' nodes (not counting generated XML) are rendered one
+// class at a time; each diagram is a title (if split) and a graph
+const diagrams = graph =>
+{
+    const limitstr = optval( '--split-above' );
+    const limit    = ( limitstr === undefined ) ? 200 : +limitstr;
+
+    if ( !( limit >= 0 ) || ( limit % 1 !== 0 ) ) {
+        throw Error( `Invalid node limit '${limitstr}'` );
+    }
+
+    const subject = focused( graph );
+    const nodes   = subject.mapNodes( node => node )
+        .filter( node => node.data.type !== 'xml' );
+
+    if ( nodes.length <= limit ) {
+        return [ [ undefined, subject ] ];
+    }
+
+    return nodes
+        .filter( node => node.data.type === 'class' )
+        .map( node => [
+            `Class ${node.data.class}`,
+            focus.onClass( subject, node.data.class ),
+        ] );
+};
+
+const tomermaid  = new ( require( __dirname + '/../src/GraphToMermaid' ) )();
+const toplantuml = new ( require( __dirname + '/../src/GraphToPlantUml' ) )();
+
+const mermaid = graph => tomermaid.toMarkdown( diagrams( graph ) );
+
+const plantuml = graph => diagrams( graph )
+    .map( ( [ title, subject ] ) => toplantuml.toPlantUml( subject, title ) )
+    .join( "\n" );
+
+// questionnaires of each class, shared by the report and outlines
+const qtree = new ( require( __dirname + '/../src/QuestionTree' ) )();
+
+// the report is titled after the specification (or graph) it describes
+const htmlreport = new ( require( __dirname + '/../src/HtmlReport' ) )(
+    qtree
+);
+
+const html = graph => htmlreport.toHtml(
+    graph,
+    require( 'path' ).basename( spec_path || graph_path )
 );
 
+const outliner = new ( require( __dirname + '/../src/QuestionOutline' ) )(
+    qtree
+);
+
+// --outline [--format markdown|text] [--class CODE] [--outline-dir DIR]
+// (with a directory, each class is written to its own file)
+const outline = graph =>
+{
+    const format = optval( '--format' ) || 'markdown';
+    const dir    = optval( '--outline-dir' );
+
+    const ctrees = ( opts[ '--class' ] !== undefined )
+        ? [ qtree.forClass( graph, optval( '--class' ) ) ]
+        : qtree.fromGraph( graph );
+
+    if ( dir === undefined ) {
+        return ctrees.map( ctree => outliner.format( ctree, format ) )
+            .join( "\n" );
+    }
+
+    const ext = outliner.extension( format );
+
+    ctrees.forEach( ctree =>
+    {
+        const name = `class-${ctree.code}.${ext}`;
+
+        console.error( `  writing ${dir}/${name}` );
+        fs.writeFileSync( `${dir}/${name}`, outliner.format( ctree, format ) );
+    } );
+};
+
 const outsteps = {
-    '--graph': [ "Generating Graphviz dot...", todot.toDot.bind( todot ) ],
-    '--xml':   [ "Regurgitating XML...", xmlout.fromGraph.bind( xmlout ) ],
+    '--graph':    [ "Generating Graphviz dot...", dot ],
+    '--mermaid':  [ "Generating Mermaid flowchart...", mermaid ],
+    '--plantuml': [ "Generating PlantUML activity diagram...", plantuml ],
+    '--xml':      [ "Regurgitating XML...", xmlout.fromGraph.bind( xmlout ) ],
+    '--html':     [ "Generating HTML report...", html ],
+    '--outline':  [ "Generating questionnaire outlines...", outline ],
+    '--simulate': [ "Simulating answers...", simulate ],
+    '--program':  [ "Generating Program XML...", program ],
+    '--lint':     [ "Linting graph...", lint ],
+    '--diff':     [ "Comparing revisions...", diff ],
+    '--gen-qmap': [ "Generating question map...", genQmap ],
+};
+
+
+const outstep = Object.keys( outsteps ).filter(
+    step => opts[ step ] !== undefined
+)[ 0 ];
+
+// emitting the graph alone is sufficient
+if ( ( outstep === undefined ) && ( emit_path === undefined ) ) {
+    throw Error(
+        "Must specify one of: " + Object.keys( outsteps ).join( ", " ) +
+            ", --emit-graph"
+    );
+}
+
+
+/**
+ * Report question map diagnostics, failing if there are any errors
+ */
+const validateQmap = graph =>
+{
+    const diags  = qmapgen.validate( qmap, graph );
+    const errors = diags.filter( diag => diag.severity === 'error' );
+
+    const format = diag =>
+        `${qmap_path}: ${diag.key}: ${diag.severity}: ${diag.message}`;
+
+    diags
+        .filter( diag => diag.severity !== 'error' )
+        .forEach( diag => console.error( format( diag ) ) );
+
+    if ( errors.length > 0 ) {
+        const e = Error(
+            `${errors.length} error(s) in question map:\n\n` +
+                errors.map( format ).join( "\n" )
+        );
+
+        e.diagnostics = errors;
+        throw e;
+    }
+};
+
+
+/**
+ * Evaluate graph, generate XML and produce requested output
+ */
+const compile = graph =>
+{
+    console.error( "Evaluating graph..." );
+
+    return evaluator.evaluate( graph )
+        .then( graph =>
+        {
+            // the question map is being generated, so need not be valid
+            if ( ( qmap_path !== undefined ) && ( outstep !== '--gen-qmap' ) ) {
+                validateQmap( graph );
+            }
+
+            console.error( "Generating node XML..." );
+            return xmlgen.generateXml( graph );
+        } )
+        .then( graph =>
+        {
+            // ids are retained only once they have produced well-formed
+            // XML, so that a failed compilation does not commit them
+            if ( registry ) {
+                console.error( `Writing question id registry ${ids_path}...` );
+                fs.writeFileSync(
+                    ids_path, JSON.stringify( registry, null, 2 ) + "\n"
+                );
+            }
+
+            const [ label, f ] = outsteps[ outstep ];
+
+            console.error( label );
+
+            // steps may write their own output
+            return Promise.resolve( f( graph ) )
+                .then( result =>
+                    ( result !== undefined ) && console.log( result )
+                )
+                .then( _ => graph );
+        } );
 };
 
 
 // output to stdout so that compiled output can be redirected/piped
 console.error( "Structured Natural Rater Specification Language" );
-console.error( "Lexing document and constructing graph..." );
 
-parser.parse(
-    csvtojson().fromFile( csv_path ),
-    new ( require( './../src/Graph' ) )()
-)
-    .then( graph =>
+const parsed = ( graph_path !== undefined )
+    ? Promise.resolve().then( () =>
     {
-        const s = graph.stats();
-        console.error( `  graph: ${s.nodeCount} nodes, ${s.edgeCount} edges` );
+        console.error( "Loading graph..." );
 
-        console.error( "Evaluating graph..." );
-        return evaluator.evaluate( graph );
+        return Graph.fromJSON( JSON.parse( fs.readFileSync( graph_path ) ) );
     } )
-    .then( graph =>
+    : Promise.resolve().then( () =>
     {
-        console.error( "Generating node XML..." );
-        return xmlgen.generateXml( graph );
-    } )
+        console.error( "Lexing document and constructing graph..." );
+
+        return parser.parse( specRows( spec_path ), new Graph() );
+    } );
+
+parsed
     .then( graph =>
     {
-        for ( let step in outsteps ) {
-            if ( opts[ step ] !== undefined ) {
-                const [ label, f ] = outsteps[ step ];
-
-                console.error( label );
-                return Promise.resolve( f( graph ) )
-                    .then( result => console.log( result ) )
-                    .then( _ => graph );
+        const s = graph.stats();
+        console.error( `  graph: ${s.nodeCount} nodes, ${s.edgeCount} edges` );
+
+        // unparseable lines retained by lenient mode
+        graph.mapNodes( node =>
+        {
+            if ( node.data.type === 'error' ) {
+                const { value, loc, offset } = node.data;
+
+                console.error(
+                    "warning: " + SourceLocation.format( value, loc, offset )
+                );
             }
+        } );
+
+        if ( emit_path !== undefined ) {
+            console.error( `Writing graph to ${emit_path}...` );
+            fs.writeFileSync( emit_path, JSON.stringify( graph, null, 2 ) );
         }
 
-        throw Error(
-            "Must specify one of: " + Object.keys( outsteps ).join( ", " )
-        );
+        return ( outstep === undefined )
+            ? graph
+            : compile( graph );
     } )
     .then( graph =>
     {
         console.error( "Graph node statistics:" );
         console.error( graph.stats().types )
     } )
-    .catch( e => console.error( e.stack ) );
+    .catch( e =>
+    {
+        // parse diagnostics are already formatted for the user
+        console.error( ( e.diagnostics ) ? e.message : e.stack );
+        process.exitCode = 1;
+    } );
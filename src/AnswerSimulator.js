@@ -0,0 +1,269 @@
+/**
+ * Eligibility simulation for a class code and set of answers
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+/**
+ * Walk an evaluated graph as a user would answer its questions
+ *
+ * This allows the logic of a specification to be checked against real
+ * scenarios without building a rater.
+ *
+ * A question is shown under the same rules used to generate its `when'
+ * classification (see NodeXmlGenerator#_genWhenPreds): either the class
+ * has an edge to it directly, or it is the action of a condition of a
+ * shown parent question.  In the latter case, the condition must be
+ * satisfied by the parent's answer and its predicate, if any, must be
+ * the simulated class.
+ */
+module.exports = class AnswerSimulator
+{
+    /**
+     * Simulate answers for class code
+     *
+     * The resulting report contains the shown `questions' (in the order
+     * in which they are asked), the `actions' fired by answers, the
+     * qids of shown questions that are `unanswered', the qids of
+     * answers that were `ignored' because their questions were not shown,
+     * and whether the class is `eligible' given those answers.
+     *
+     * @param {Graph}  graph      evaluated graph
+     * @param {string} class_code class code
+     * @param {Object} answers    answers indexed by qid
+     *
+     * @return {Object} simulation report
+     */
+    simulate( graph, class_code, answers )
+    {
+        const class_node = graph.get( `class$${class_code}` );
+
+        if ( !class_node ) {
+            throw Error( `Unknown class code: ${class_code}` );
+        }
+
+        const report = {
+            'class':    class_code,
+            eligible:   true,
+            questions:  [],
+            actions:    [],
+            unanswered: [],
+            ignored:    [],
+        };
+
+        // in order of the class's row (see SpecParser), rather than that
+        // of the question nodes
+        const toplevel = graph.node( `class$${class_code}` ).edges.out
+            .filter( enode => enode.type === 'question' )
+            .sort( ( a, b ) => this._rowPos( a ) - this._rowPos( b ) );
+
+        const shown = this._ask( toplevel, class_code, answers, report, {} );
+
+        report.ignored = Object.keys( answers )
+            .filter( qid => !shown[ qid ] );
+
+        report.eligible = !report.actions.some(
+            action => action.type === 'ineligible'
+        );
+
+        return report;
+    }
+
+
+    /**
+     * Position of top-level question within the row of its class
+     *
+     * @param {Object} qnode question node (out edge of class)
+     *
+     * @return {number} position
+     */
+    _rowPos( qnode )
+    {
+        return Math.min.apply( null, qnode.reledges.map(
+            edge => ( edge.pos === undefined ) ? Infinity : edge.pos
+        ) );
+    }
+
+
+    /**
+     * Ask each question in `queue', depth-first
+     *
+     * The follow-up questions of an answer are asked immediately after it,
+     * before the remainder of the queue.
+     *
+     * @param {Array<Object>} queue      question nodes to ask
+     * @param {string}        class_code class code
+     * @param {Object}        answers    answers indexed by qid
+     * @param {Object}        report     report to populate
+     * @param {Object}        shown      qids already shown
+     *
+     * @return {Object} qids of shown questions
+     */
+    _ask( queue, class_code, answers, report, shown )
+    {
+        if ( queue.length === 0 ) {
+            return shown;
+        }
+
+        const [ qnode ] = queue;
+        const rest      = queue.slice( 1 );
+
+        const { qid, label, qtype, class_in = {} } = qnode.data;
+
+        if ( shown[ qid ] || ( class_in[ class_code ] === undefined ) ) {
+            return this._ask( rest, class_code, answers, report, shown );
+        }
+
+        shown[ qid ] = true;
+
+        const answer = answers[ qid ];
+
+        report.questions.push( {
+            qid:    qid,
+            label:  label,
+            qtype:  qtype,
+            answer: answer,
+        } );
+
+        if ( answer === undefined ) {
+            report.unanswered.push( qid );
+            return this._ask( rest, class_code, answers, report, shown );
+        }
+
+        const followups = this._fire( qnode, class_code, answer, report );
+
+        return this._ask(
+            followups.concat( rest ), class_code, answers, report, shown
+        );
+    }
+
+
+    /**
+     * Fire actions of conditions satisfied by answer
+     *
+     * @param {Object} qnode      question node
+     * @param {string} class_code class code
+     * @param {*}      answer     answer to question
+     * @param {Object} report     report to populate
+     *
+     * @return {Array<Object>} follow-up question nodes
+     */
+    _fire( qnode, class_code, answer, report )
+    {
+        const { qid } = qnode.data;
+
+        return qnode.edges.out.reduce( ( followups, enode ) =>
+        {
+            const fired = enode.reledges.filter( edge =>
+                ( edge.type === 'cond' )
+                && ( ( edge.pred === undefined ) || ( edge.pred === class_code ) )
+                && this._satisfies( edge, answer )
+            );
+
+            if ( fired.length === 0 ) {
+                return followups;
+            }
+
+            if ( enode.type === 'question' ) {
+                return followups.concat( [ enode ] );
+            }
+
+            report.actions.push( {
+                type:  ( enode.type === 'class' ) ? 'assert-class' : enode.type,
+                value: ( enode.type === 'class' )
+                    ? enode.data.class
+                    : enode.data.value,
+                qid:   qid,
+                cond:  fired[ 0 ].cond,
+            } );
+
+            return followups;
+        }, [] );
+    }
+
+
+    /**
+     * Whether answer satisfies condition edge
+     *
+     * @param {Object} edge   condition edge
+     * @param {*}      answer answer to question
+     *
+     * @return {boolean} whether condition is satisfied
+     */
+    _satisfies( edge, answer )
+    {
+        const { op, values } = edge.cmp
+            || { op: 'eq', values: [ edge.cond.toLowerCase() ] };
+
+        const value = this._answerValue( answer, values[ 0 ] );
+
+        switch ( op )
+        {
+            case 'eq':      return value === values[ 0 ];
+            case 'gt':      return value > values[ 0 ];
+            case 'gte':     return value >= values[ 0 ];
+            case 'lt':      return value < values[ 0 ];
+            case 'lte':     return value <= values[ 0 ];
+            case 'between': return ( value >= values[ 0 ] )
+                && ( value <= values[ 1 ] );
+        }
+
+        throw Error( `Unknown comparison operator: ${op}` );
+    }
+
+
+    /**
+     * Normalize answer for comparison against operand
+     *
+     * Answers are normalized into the same form as the operands of
+     * parsed conditions (see SpecParser#_lexCmp): numbers stripped of
+     * currency and percent symbols, dates in ISO 8601 format, and
+     * everything else lowercase with boolean answers as "yes" or "no".
+     *
+     * @param {*} answer  answer to question
+     * @param {*} operand operand of comparison
+     *
+     * @return {number|string} normalized answer
+     */
+    _answerValue( answer, operand )
+    {
+        if ( typeof operand === 'number' ) {
+            return +String( answer ).replace( /[$,%\s]/g, '' );
+        }
+
+        const str  = String( answer ).trim();
+        const date = str.match( /^([0-9]+)\/([0-9]+)\/([0-9]{4})$/ );
+
+        if ( date ) {
+            const [ , month, day, year ] = date;
+            const pad = n => ( '0' + n ).substr( -2 );
+
+            return `${year}-${pad( month )}-${pad( day )}`;
+        }
+
+        return {
+            'true':  'yes',
+            'false': 'no',
+            '1':     'yes',
+            '0':     'no',
+        }[ str.toLowerCase() ] || str.toLowerCase();
+    }
+}
@@ -23,6 +23,9 @@
 
 const gsym = Symbol( 'gsym' );
 
+// version of serialized graph documents (see Graph#toJSON)
+const doc_version = 1;
+
 
 /**
  * Quick-n-dirty basic graph
@@ -214,18 +217,33 @@ module.exports = class Graph
 
     mapNodes( c )
     {
-        return this._nodes.map( node =>
-        {
-            const node_data = {
-                id:    node[ gsym ].id,
-                index: node[ gsym ].index,
-                data:  node,
-                occur: node[ gsym ].occur,
-                edges: this._lazyNodeEdges( node ),
-            };
+        return this._nodes.map( node => c( this._nodeInfo( node ) ) );
+    }
 
-            return c( node_data );
-        } );
+
+    /**
+     * Look up node, providing the same information as #mapNodes
+     *
+     * @param {number|string|Object} lookup node id, index or object
+     *
+     * @return {Object} node information (`id', `index', `data', `occur'
+     *                  and `edges')
+     */
+    node( lookup )
+    {
+        return this._nodeInfo( this.nodeLookup( lookup )[ 1 ] );
+    }
+
+
+    _nodeInfo( node )
+    {
+        return {
+            id:    node[ gsym ].id,
+            index: node[ gsym ].index,
+            data:  node,
+            occur: node[ gsym ].occur,
+            edges: this._lazyNodeEdges( node ),
+        };
     }
 
 
@@ -337,6 +355,417 @@ module.exports = class Graph
     }
 
 
+    /**
+     * Ids of nodes reachable from the given nodes
+     *
+     * Traversal is breadth-first along edges for which `follow' returns
+     * true (see #stronglyConnected), stopping after paths of length
+     * `depth', if given.  The given nodes are themselves included.
+     *
+     * @param {Array|*}   lookups nodes to start from (see #nodeLookup)
+     * @param {Function=} follow  edge predicate
+     * @param {number=}   depth   maximum path length
+     *
+     * @return {Array<number>} node ids in order of discovery
+     */
+    reachableFrom( lookups, follow, depth )
+    {
+        return this._traverse(
+            lookups, follow, depth, this._successors.bind( this )
+        );
+    }
+
+
+    /**
+     * Ids of nodes from which the given nodes are reachable
+     *
+     * This is the reverse of #reachableFrom: edges are traversed from
+     * their destination to their source, though `follow' is still given
+     * the source node before the destination.
+     *
+     * @param {Array|*}   lookups nodes to start from (see #nodeLookup)
+     * @param {Function=} follow  edge predicate
+     * @param {number=}   depth   maximum path length
+     *
+     * @return {Array<number>} node ids in order of discovery
+     */
+    ancestorsOf( lookups, follow, depth )
+    {
+        return this._traverse(
+            lookups, follow, depth, this._predecessors.bind( this )
+        );
+    }
+
+
+    /**
+     * Induced subgraph of the given nodes
+     *
+     * The new graph contains copies of the given nodes and of all edges
+     * between them for which `follow', if given, returns true (see
+     * #stronglyConnected).  Node and edge indexes are retained, but node
+     * ids are not.
+     *
+     * @param {Array<number>} ids    ids of nodes to retain
+     * @param {Function=}     follow edge predicate
+     *
+     * @return {Graph} new graph
+     */
+    subgraph( ids, follow )
+    {
+        const accept = follow || ( () => true );
+        const graph  = new this.constructor();
+
+        const newids = ids
+            .map( id => +id )
+            .filter( ( id, i, ids ) => ids.indexOf( id ) === i )
+            .sort( ( a, b ) => a - b )
+            .reduce( ( newids, id ) =>
+            {
+                const meta = this._nodes[ id ][ gsym ];
+
+                newids[ id ] = graph.addNode(
+                    this._plainData( this._nodes[ id ] ), meta.index
+                );
+
+                graph._nodes[ newids[ id ] ][ gsym ].occur = meta.occur;
+
+                return newids;
+            }, {} );
+
+        // sparse after removals, which forEach skips
+        this._edges.forEach( edge =>
+        {
+            const { from, to, index } = edge[ gsym ];
+
+            const [ newfrom, newto ] = [ newids[ from ], newids[ to ] ];
+
+            if ( ( newfrom === undefined ) || ( newto === undefined )
+                || !accept( edge, this._nodes[ from ], this._nodes[ to ] )
+            ) {
+                return;
+            }
+
+            // edge indexes are qualified by their destination (see
+            // #_edgeIndex), which has a new id
+            const indexed_by = index
+                && index.substr( 0, index.lastIndexOf( ':' ) );
+
+            graph.addEdge(
+                newfrom, newto, this._plainData( edge ), indexed_by
+            );
+        } );
+
+        return graph;
+    }
+
+
+    /**
+     * Strongly connected components of graph (Tarjan's algorithm)
+     *
+     * Only edges for which `follow' returns true are considered; it is
+     * given the edge data and the data of the nodes from and to which the
+     * edge is directed.  All edges are followed by default.
+     *
+     * Components are arrays of node ids, produced in reverse topological
+     * order: no component has an edge to any component that follows it.
+     *
+     * @param {Function=} follow edge predicate
+     *
+     * @return {Array<Array<number>>} components
+     */
+    stronglyConnected( follow )
+    {
+        const accept = follow || ( () => true );
+
+        const state = {
+            next:    0,
+            indexes: [],
+            lows:    [],
+            stack:   [],
+            on:      [],
+            sccs:    [],
+        };
+
+        this._nodes.forEach( ( _, id ) =>
+        {
+            if ( state.indexes[ id ] === undefined ) {
+                this._strongConnect( id, accept, state );
+            }
+        } );
+
+        return state.sccs;
+    }
+
+
+    /**
+     * Cycles of graph
+     *
+     * A cycle is a strongly connected component of more than one node, or
+     * a single node with an edge to itself.
+     *
+     * @param {Function=} follow edge predicate (see #stronglyConnected)
+     *
+     * @return {Array<Array<number>>} ids of nodes of each cycle
+     */
+    cycles( follow )
+    {
+        const accept = follow || ( () => true );
+
+        const loops = id => this._successors( id, accept ).indexOf( id ) > -1;
+
+        return this.stronglyConnected( accept ).filter(
+            scc => ( scc.length > 1 ) || loops( scc[ 0 ] )
+        );
+    }
+
+
+    _strongConnect( id, accept, state )
+    {
+        const { indexes, lows } = state;
+
+        indexes[ id ] = lows[ id ] = state.next++;
+        state.stack.push( id );
+        state.on[ id ] = true;
+
+        this._successors( id, accept ).forEach( to =>
+        {
+            if ( indexes[ to ] === undefined ) {
+                this._strongConnect( to, accept, state );
+                lows[ id ] = Math.min( lows[ id ], lows[ to ] );
+            }
+            else if ( state.on[ to ] ) {
+                lows[ id ] = Math.min( lows[ id ], indexes[ to ] );
+            }
+        } );
+
+        // root of component
+        if ( lows[ id ] === indexes[ id ] ) {
+            const scc = state.stack.splice( state.stack.lastIndexOf( id ) );
+
+            scc.forEach( sid => state.on[ sid ] = false );
+            state.sccs.push( scc );
+        }
+    }
+
+
+    _traverse( lookups, follow, depth, next )
+    {
+        const accept = follow || ( () => true );
+        const start  = [].concat( lookups )
+            .map( lookup => +this.nodeLookup( lookup )[ 0 ] )
+            .filter( ( id, i, ids ) => ids.indexOf( id ) === i );
+
+        const seen = start.reduce( ( seen, id ) =>
+        {
+            seen[ id ] = true;
+            return seen;
+        }, {} );
+
+        const visit = ( frontier, remain, found ) =>
+        {
+            if ( ( frontier.length === 0 ) || ( remain === 0 ) ) {
+                return found;
+            }
+
+            const discovered = frontier.reduce( ( discovered, id ) =>
+            {
+                next( id, accept )
+                    .filter( to => !seen[ to ] )
+                    .forEach( to =>
+                    {
+                        seen[ to ] = true;
+                        discovered.push( to );
+                    } );
+
+                return discovered;
+            }, [] );
+
+            return visit( discovered, remain - 1, found.concat( discovered ) );
+        };
+
+        return visit(
+            start, ( depth === undefined ) ? Infinity : depth, start
+        );
+    }
+
+
+    /**
+     * Ids of nodes to which node `id' has an edge accepted by `accept'
+     */
+    _successors( id, accept )
+    {
+        const node = this._nodes[ id ];
+        const out  = node[ gsym ].out;
+
+        return Object.keys( out )
+            .map( to => +to )
+            .filter( to => out[ to ].some(
+                eid => ( eid !== undefined )
+                    && accept( this._edges[ eid ], node, this._nodes[ to ] )
+            ) );
+    }
+
+
+    /**
+     * Ids of nodes from which node `id' has an edge accepted by `accept'
+     */
+    _predecessors( id, accept )
+    {
+        const node = this._nodes[ id ];
+        const ein  = node[ gsym ].in;
+
+        return Object.keys( ein )
+            .map( from => +from )
+            .filter( from => ein[ from ].some(
+                eid => ( eid !== undefined )
+                    && accept( this._edges[ eid ], this._nodes[ from ], node )
+            ) );
+    }
+
+
+    /**
+     * Serialize graph into a stable document
+     *
+     * The document contains all nodes and edges along with all
+     * information that is otherwise hidden from data, including ids,
+     * indexes, occurrence counts and edge positions, such that
+     * #fromJSON will reproduce the graph exactly.  Removed edges are
+     * retained as `null' so that edge ids are preserved.
+     *
+     * This is called implicitly by `JSON.stringify'.
+     *
+     * @return {Object} graph document
+     */
+    toJSON()
+    {
+        const nodes = this._nodes.map( node =>
+        {
+            const meta = node[ gsym ];
+
+            return {
+                id:     meta.id,
+                index:  meta.index,
+                occur:  meta.occur,
+                out:    meta.out,
+                'in':   meta.in,
+                eindex: meta.eindex,
+                data:   this._plainData( node ),
+            };
+        } );
+
+        const edges = [];
+
+        for ( let eid = 0; eid < this._edges.length; eid++ ) {
+            const edge = this._edges[ eid ];
+
+            edges.push( ( edge === undefined ) ? null : {
+                id:    edge[ gsym ].id,
+                index: edge[ gsym ].index,
+                from:  edge[ gsym ].from,
+                fromi: edge[ gsym ].fromi,
+                to:    edge[ gsym ].to,
+                toi:   edge[ gsym ].toi,
+                data:  this._plainData( edge ),
+            } );
+        }
+
+        return {
+            version: doc_version,
+            nodes:   nodes,
+            edges:   edges,
+            index:   this._index,
+        };
+    }
+
+
+    /**
+     * Copy of enumerable data, including inherited properties
+     *
+     * Edge data may inherit from shared prototypes (see #addEdges),
+     * which would otherwise be lost during serialization.
+     */
+    _plainData( data )
+    {
+        const plain = {};
+
+        for ( let key in data ) {
+            plain[ key ] = data[ key ];
+        }
+
+        return plain;
+    }
+
+
+    /**
+     * Reconstruct graph from document produced by #toJSON
+     *
+     * @param {Object} doc graph document
+     *
+     * @return {Graph} reconstructed graph
+     */
+    static fromJSON( doc )
+    {
+        if ( doc.version !== doc_version ) {
+            throw Error( `Unsupported graph document version: ${doc.version}` );
+        }
+
+        const graph = new this();
+
+        // removed edges serialize as null, but are undefined in memory
+        const restorePos = rel => Object.keys( rel ).reduce( ( pos, id ) =>
+        {
+            pos[ id ] = rel[ id ].map(
+                eid => ( eid === null ) ? undefined : eid
+            );
+            return pos;
+        }, {} );
+
+        doc.nodes.forEach( node =>
+        {
+            const data = node.data;
+
+            data[ gsym ] = {
+                id:     node.id,
+                out:    restorePos( node.out ),
+                'in':   restorePos( node.in ),
+                eindex: node.eindex,
+                index:  node.index,
+                occur:  node.occur,
+            };
+
+            graph._nodes[ node.id ] = data;
+        } );
+
+        doc.edges.forEach( ( edge, eid ) =>
+        {
+            if ( edge === null ) {
+                return;
+            }
+
+            const data = edge.data;
+
+            data[ gsym ] = {
+                id:    edge.id,
+                index: edge.index,
+                from:  edge.from,
+                fromi: edge.fromi,
+                to:    edge.to,
+                toi:   edge.toi,
+            };
+
+            graph._edges[ eid ] = data;
+        } );
+
+        graph._edges.length = doc.edges.length;
+
+        Object.keys( doc.index ).forEach(
+            index => graph._index[ index ] = doc.index[ index ]
+        );
+
+        return graph;
+    }
+
+
     stats()
     {
         const _self = this;
@@ -0,0 +1,113 @@
+/**
+ * Focused portions of graphs
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+/**
+ * Extract the portion of a graph relevant to a class or question
+ *
+ * The full graph of a specification is too large to be reviewed at once;
+ * reviewers usually want to look at a single class at a time, or at the
+ * neighbourhood of a single question.
+ *
+ * Traversal never continues through class nodes other than the one being
+ * focused on: they are reached by class assertions (or are the roots of
+ * question sets), and their questions belong to those other classes.
+ */
+module.exports = class GraphFocus
+{
+    /**
+     * Portion of graph belonging to a class
+     *
+     * This is the class node and everything reachable from it, including
+     * any asserted classes, within `depth' edges of the class, if given.
+     * Only edges that apply to the class are retained: conditions of other
+     * classes are omitted, as are the question sets of other classes.
+     *
+     * @param {Graph}   graph      evaluated graph
+     * @param {string}  class_code class code
+     * @param {number=} depth      maximum distance from class
+     *
+     * @throws {Error} if class does not exist
+     *
+     * @return {Graph} induced subgraph
+     */
+    onClass( graph, class_code, depth )
+    {
+        const cdata = graph.get( `class$${class_code}` );
+
+        if ( !cdata ) {
+            throw Error( `Unknown class code '${class_code}'` );
+        }
+
+        const applies = ( edge, from ) =>
+            ( ( from === cdata ) || ( from.type !== 'class' ) )
+                && ( ( edge.pred === undefined )
+                    || ( edge.pred === class_code ) );
+
+        const ids = graph.reachableFrom(
+            `class$${class_code}`, applies, depth
+        );
+
+        return graph.subgraph( ids, applies );
+    }
+
+
+    /**
+     * Neighbourhood of a question
+     *
+     * This is the question along with its ancestors (up to and including
+     * the classes whose question sets it belongs to) and descendants,
+     * within `depth' edges of the question, if given.
+     *
+     * @param {Graph}   graph evaluated graph
+     * @param {string}  qid   question id (or generated id; see
+     *                        SpecEvaluator)
+     * @param {number=} depth maximum distance from question
+     *
+     * @throws {Error} if question does not exist
+     *
+     * @return {Graph} induced subgraph
+     */
+    onQuestion( graph, qid, depth )
+    {
+        const qnode = graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'question' )
+            .filter(
+                node => ( node.data.qid === qid ) || ( node.data.gid === qid )
+            )[ 0 ];
+
+        if ( qnode === undefined ) {
+            throw Error( `Unknown question id '${qid}'` );
+        }
+
+        const ancestors = graph.ancestorsOf(
+            qnode, ( edge, from, to ) => to.type !== 'class', depth
+        );
+
+        const descendants = graph.reachableFrom(
+            qnode, ( edge, from ) => from.type !== 'class', depth
+        );
+
+        return graph.subgraph( ancestors.concat( descendants ) );
+    }
+}
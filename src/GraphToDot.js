@@ -32,6 +32,7 @@ const _nodeattrs = {
     'assert-class': "shape=square,color=dodgerblue",
     eligible:       "color=green,shape=doublecircle,label=Eligible",
     ineligible:     "color=red,shape=doublecircle,label=Ineligible",
+    error:          "shape=octagon,color=red,fontcolor=red,style=dashed,margin=\"0.5,0.055\"",
 };
 
 const _edgeattrs = {
@@ -43,6 +44,14 @@ const _edgeattrs = {
     doc:            "style=dotted",
     eligible:       "color=green",
     ineligible:     "color=red",
+    error:          "style=dashed,color=red",
+};
+
+// revision differences (see SpecDiff#mark); these follow the attributes
+// above and so take precedence over them
+const _diffattrs = {
+    added:   "color=green3,fontcolor=green3,penwidth=3",
+    removed: "color=red,fontcolor=red,style=dashed,penwidth=3",
 };
 
 const _nodemeta = {
@@ -50,48 +59,287 @@ const _nodemeta = {
     'xml$prohibits':     `{ rank=sink; "xml$prohibits"; }`,
 };
 
+// layout attributes of the graph, which may be overridden
+const _graphattrs = {
+    ranksep: 15,
+    nodesep: 1,
+};
+
+// node types produced by actions, each of which is clustered separately
+const _actiontypes = [
+    'eligible', 'ineligible', 'attach-form', 'surcharge', 'doc', 'exclude',
+];
+
+// node types that may be hidden, by the name used to hide them
+const _hidable = {
+    xml:     [ 'xml' ],
+    actions: _actiontypes,
+};
+
 
 
 /**
  * Generate graph visualization in Graphviz format
+ *
+ * Large graphs are easier to read when related nodes are grouped into
+ * clusters: each class with the questions that apply only to it; the
+ * questions shared between classes; each kind of action; and generated
+ * XML.  Clusters, a legend of node and edge styles, and the layout
+ * attributes of the graph are all configured on construction.
  */
 module.exports = class GraphToDot
 {
+    /**
+     * Configure output
+     *
+     * The available options are `cluster' and `legend' (both booleans),
+     * `hide', an array of the kinds of nodes to omit (`xml' and
+     * `actions'), and `graph', layout attributes that are merged with and
+     * take precedence over the defaults.
+     *
+     * @param {Object=} options output options
+     */
+    constructor( options )
+    {
+        const {
+            cluster = false,
+            legend  = false,
+            hide    = [],
+            graph   = {},
+        } = options || {};
+
+        const unknown = hide.filter( kind => _hidable[ kind ] === undefined );
+
+        if ( unknown.length > 0 ) {
+            throw Error( `Cannot hide unknown node kind '${unknown[ 0 ]}'` );
+        }
+
+        this._cluster = !!cluster;
+        this._legend  = !!legend;
+
+        this._hidden = hide.reduce(
+            ( types, kind ) => types.concat( _hidable[ kind ] ), []
+        );
+
+        this._graphattrs = Object.keys( graph ).reduce( ( attrs, name ) =>
+        {
+            attrs[ name ] = graph[ name ];
+            return attrs;
+        }, Object.keys( _graphattrs ).reduce( ( attrs, name ) =>
+        {
+            attrs[ name ] = _graphattrs[ name ];
+            return attrs;
+        }, {} ) );
+    }
+
+
     toDot( graph )
     {
-        return 'digraph "qgraph" { graph [ranksep=15,nodesep=1];' +
-            this._genNodes( graph ) +
+        const visible = this._visible( graph );
+
+        return `digraph "qgraph" { graph [${this._graphAttrs()}];` +
+            ( ( this._cluster )
+                ? this._genClusters( visible )
+                : this._genNodes( visible ) ) +
+            ( ( this._legend ) ? this._genLegend() : '' ) +
             '}';
     }
 
+
     _genNodes( graph )
     {
         return graph.mapNodes( node =>
+            this._nodeDfn( node ) +
+                ( _nodemeta[ node.index ] || "" ) +
+                this._nodeEdges( node )
+        ).join( "\n" );
+    }
+
+
+    /**
+     * Generate node definitions grouped into clusters, followed by all
+     * edges
+     *
+     * Nodes must be defined within the cluster to which they belong,
+     * whereas edges may be defined anywhere.  Rank constraints are
+     * omitted, since they conflict with cluster placement.
+     */
+    _genClusters( graph )
+    {
+        const nodes = graph.mapNodes( node => node );
+
+        const clusters = nodes.reduce( ( clusters, node ) =>
+        {
+            const [ name, label ] = this._clusterOf( node );
+
+            clusters[ name ] = clusters[ name ] || { label: label, dfns: [] };
+            clusters[ name ].dfns.push( this._nodeDfn( node ) );
+
+            return clusters;
+        }, {} );
+
+        const groups = Object.keys( clusters ).map( name =>
         {
-            const node_type = node.data.type;
+            const { label, dfns } = clusters[ name ];
+            const escaped         = label.replace( /"/g, '\\"' );
+
+            return ( name === '' )
+                ? dfns.join( "\n" )
+                : `subgraph "${name}" { label="${escaped}";` +
+                    dfns.join( "\n" ) + '}';
+        } );
+
+        return groups
+            .concat( nodes.map( node => this._nodeEdges( node ) ) )
+            .join( "\n" );
+    }
+
+
+    /**
+     * Name and label of cluster containing node
+     *
+     * Nodes belonging to no cluster are given the empty name.
+     */
+    _clusterOf( node )
+    {
+        const { type, class_in = {} } = node.data;
+
+        if ( type === 'class' ) {
+            return this._classCluster( node.data.class );
+        }
+
+        if ( type === 'question' ) {
+            const classes = Object.keys( class_in );
+
+            switch ( classes.length )
+            {
+                case 0:
+                    return [ '', '' ];
 
-            if ( node_type === 'error' ) {
-                throw Error( node.data.value );
+                case 1:
+                    return this._classCluster( classes[ 0 ] );
+
+                default:
+                    return [ 'cluster_shared', 'Shared Questions' ];
             }
+        }
 
-            const attrs = _nodeattrs[ node_type ] || "";
-            const label = this._nodeLabel( node );
-            const dfn   = `"${node.index}"[label=${label},${attrs}];`;
+        if ( type === 'xml' ) {
+            return [ 'cluster_xml', 'Generated XML' ];
+        }
 
-            return dfn +
-                ( _nodemeta[ node.index ] || "" ) +
-                this._edgeMap( node, ( src, out, edge, label ) =>
-                {
-                    const eattrs = _edgeattrs[ edge.type ]
-                        || _edgeattrs[ out.type ]
-                        || "";
+        if ( _actiontypes.indexOf( type ) > -1 ) {
+            return [ `cluster_action_${type}`, `Action: ${type}` ];
+        }
 
-                    return `${src} -> "${out.index}"[${label}${eattrs}];`
-                } ).join( "\n" );
+        return [ '', '' ];
+    }
+
+
+    _classCluster( code )
+    {
+        return [ `cluster_class_${code}`, `Class ${code}` ];
+    }
+
+
+    _nodeDfn( node )
+    {
+        const attrs = this._attrs( _nodeattrs[ node.data.type ], node.data );
+        const label = this._nodeLabel( node );
+
+        return `"${node.index}"[label=${label},${attrs}];`;
+    }
+
+
+    _nodeEdges( node )
+    {
+        return this._edgeMap( node, ( src, out, edge, label ) =>
+        {
+            const eattrs = this._attrs(
+                _edgeattrs[ edge.type ] || _edgeattrs[ out.type ],
+                edge
+            );
+
+            return `${src} -> "${out.index}"[${label}${eattrs}];`
         } ).join( "\n" );
     }
 
 
+    /**
+     * Legend of node and edge styles
+     *
+     * Each node style is shown as a node labeled with its type; each
+     * edge style as an edge from a point to its type.
+     */
+    _genLegend()
+    {
+        const nodes = Object.keys( _nodeattrs ).map( type =>
+            `"legend$node$${type}"[${_nodeattrs[ type ]},label="${type}"];`
+        );
+
+        const edges = Object.keys( _edgeattrs ).map( type =>
+        {
+            const from = `"legend$edge$${type}"`;
+            const to   = `"legend$edge$${type}$to"`;
+
+            return `${from}[shape=point];` +
+                `${to}[shape=plaintext,label="${type}"];` +
+                `${from} -> ${to}[${_edgeattrs[ type ]}];`;
+        } );
+
+        return 'subgraph "cluster_legend" { label="Legend";' +
+            nodes.concat( edges ).join( "\n" ) +
+            '}';
+    }
+
+
+    /**
+     * Graph with hidden nodes and their edges removed
+     */
+    _visible( graph )
+    {
+        if ( this._hidden.length === 0 ) {
+            return graph;
+        }
+
+        return graph.subgraph(
+            graph.mapNodes( node => node )
+                .filter( node => this._hidden.indexOf( node.data.type ) === -1 )
+                .map( node => node.id )
+        );
+    }
+
+
+    /**
+     * Layout attributes of graph, quoting values that are not simple
+     * identifiers or numbers
+     */
+    _graphAttrs()
+    {
+        return Object.keys( this._graphattrs )
+            .map( name =>
+            {
+                const value = String( this._graphattrs[ name ] );
+
+                return ( /^[a-zA-Z0-9_.]+$/.test( value ) )
+                    ? `${name}=${value}`
+                    : `${name}="${value.replace( /"/g, '\\"' )}"`;
+            } )
+            .join( ',' );
+    }
+
+
+    /**
+     * Attributes of node or edge, including any diff mark
+     */
+    _attrs( base, data )
+    {
+        return [ base, _diffattrs[ data.diff ] ]
+            .filter( attrs => attrs )
+            .join( ',' );
+    }
+
+
     _edgeMap( node, c )
     {
         const outs = node.edges.out;
@@ -151,11 +399,13 @@ module.exports = class GraphToDot
 
         // render class code and description for classes
         if ( node.data.type === 'class' ) {
-            if ( !node.data.desc ) {
+            const attrs = this._classAttrs( node );
+
+            if ( !node.data.desc && !attrs ) {
                 return `"${str}"`;
             }
 
-            return `"{ ${str} | ${node.data.desc} }"`;
+            return `"{ ${str} | ${node.data.desc}${attrs} }"`;
         }
 
         if ( node.data.type === 'xml' ) {
@@ -178,6 +428,22 @@ module.exports = class GraphToDot
     }
 
 
+    /**
+     * Passthrough column values of class node as label fields
+     */
+    _classAttrs( node )
+    {
+        const { attrs = {} } = node.data;
+
+        return Object.keys( attrs )
+            .filter( col => attrs[ col ].length > 0 )
+            .map( col =>
+                ' | ' + this._labelEscape( `${col}: ${attrs[ col ].join( ', ' )}` )
+            )
+            .join( '' );
+    }
+
+
     _formatXml( node )
     {
         const trunc = {
@@ -0,0 +1,209 @@
+/**
+ * Mermaid flowchart generation
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+// node shapes by node type, as opening and closing delimiters
+const _shapes = {
+    classes:       [ '([', '])' ],
+    class:         [ '[[', ']]' ],
+    question:      [ '[', ']' ],
+    eligible:      [ '((', '))' ],
+    ineligible:    [ '((', '))' ],
+    'attach-form': [ '[/', '/]' ],
+    surcharge:     [ '[/', '/]' ],
+    doc:           [ '[/', '/]' ],
+    exclude:       [ '[/', '/]' ],
+    error:         [ '>', ']' ],
+};
+
+// styles by node type, loosely following those of GraphToDot
+const _styles = {
+    class:         "stroke:blue",
+    eligible:      "stroke:green,stroke-width:3px",
+    ineligible:    "stroke:red,stroke-width:3px",
+    'attach-form': "fill:gold",
+    surcharge:     "fill:plum",
+    doc:           "stroke-dasharray:3 3",
+    error:         "stroke:red,color:red,stroke-dasharray:5 5",
+};
+
+
+/**
+ * Generate graph visualization as a Mermaid flowchart
+ *
+ * Unlike Graphviz, Mermaid is rendered by wikis and merge request
+ * descriptions.  Generated XML is omitted, since Mermaid cannot render
+ * it in any useful way; and Mermaid cannot render graphs of more than a
+ * few hundred nodes, so large graphs should be rendered in portions (see
+ * GraphFocus).
+ */
+module.exports = class GraphToMermaid
+{
+    /**
+     * Generate flowchart of graph
+     *
+     * @param {Graph} graph evaluated graph
+     *
+     * @return {string} Mermaid flowchart
+     */
+    toMermaid( graph )
+    {
+        const nodes = graph.mapNodes( node => node )
+            .filter( node => node.data.type !== 'xml' );
+
+        const types = nodes
+            .map( node => node.data.type )
+            .filter( ( type, i, types ) => types.indexOf( type ) === i )
+            .filter( type => _styles[ type ] );
+
+        return [ 'flowchart TD' ]
+            .concat(
+                types.map( type =>
+                    `classDef ${this._styleName( type )} ${_styles[ type ]}`
+                ),
+                nodes.map( node => this._nodeDfn( node ) ),
+                ...nodes.map( node => this._nodeEdges( node ) )
+            )
+            .join( "\n    " ) + "\n";
+    }
+
+
+    /**
+     * Generate Markdown document of flowcharts
+     *
+     * Each diagram is given as a pair of an optional title, which becomes
+     * a heading, and a graph.
+     *
+     * @param {Array<Array>} diagrams title and graph of each diagram
+     *
+     * @return {string} Markdown document
+     */
+    toMarkdown( diagrams )
+    {
+        return diagrams.map( ( [ title, graph ] ) =>
+            ( ( title === undefined ) ? '' : `## ${title}\n\n` ) +
+                "```mermaid\n" + this.toMermaid( graph ) + "```\n"
+        ).join( "\n" );
+    }
+
+
+    _nodeDfn( node )
+    {
+        const { type }        = node.data;
+        const [ open, close ] = _shapes[ type ] || [ '[', ']' ];
+        const style           = ( _styles[ type ] )
+            ? `:::${this._styleName( type )}`
+            : '';
+
+        const text = this._nodeText( node )
+            .map( line => this._escape( line ) )
+            .join( '<br/>' );
+
+        return `n${node.id}${open}"${text}"${close}${style}`;
+    }
+
+
+    /**
+     * Lines of text describing node
+     */
+    _nodeText( node )
+    {
+        const { type, label, desc, qid, qtype = 'unknown' } = node.data;
+
+        switch ( type )
+        {
+            case 'classes':
+                return [ "Class Codes" ];
+
+            case 'class':
+                return [ label ].concat( ( desc ) ? [ desc ] : [] );
+
+            case 'question':
+                return [ label, `${qid}: ${qtype}` ];
+
+            case 'attach-form':
+                return [ `attach form ${label}` ];
+
+            default:
+                return [ label ];
+        }
+    }
+
+
+    _nodeEdges( node )
+    {
+        return node.edges.out
+            .filter( out => out.data.type !== 'xml' )
+            .map( out => out.reledges.map( edge =>
+            {
+                const label = this._edgeLabel( edge );
+                const arrow = ( edge.type === 'classroot' ) ? '-.->' : '-->';
+
+                return ( label )
+                    ? `n${node.id} ${arrow}|"${this._escape( label )}"| ` +
+                        `n${out.id}`
+                    : `n${node.id} ${arrow} n${out.id}`;
+            } ) )
+            .reduce( ( edges, outs ) => edges.concat( outs ), [] );
+    }
+
+
+    /**
+     * Option and class predicate of condition edges
+     */
+    _edgeLabel( edge )
+    {
+        return [ edge.cond, edge.pred && `class=${edge.pred}` ]
+            .filter( part => part )
+            .join( '; ' );
+    }
+
+
+    /**
+     * Name of style class of node type
+     *
+     * Style names must be identifiers and may not be keywords (such as
+     * `class').
+     */
+    _styleName( type )
+    {
+        return type.replace( /-/g, '_' ) + '_node';
+    }
+
+
+    /**
+     * Escape text for use within quoted labels
+     *
+     * Mermaid labels may contain HTML, so markup characters are replaced
+     * with its entity codes.
+     */
+    _escape( str )
+    {
+        return String( str )
+            .replace( /#/g, '#35;' )
+            .replace( /"/g, '#34;' )
+            .replace( /&/g, '#38;' )
+            .replace( /</g, '#60;' )
+            .replace( />/g, '#62;' )
+            .replace( /\n/g, ' ' );
+    }
+}
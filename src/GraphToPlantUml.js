@@ -0,0 +1,182 @@
+/**
+ * PlantUML activity diagram generation
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+/**
+ * Generate graph visualization as a PlantUML activity diagram
+ *
+ * The legacy activity syntax is used, since it permits arbitrary edges
+ * between activities; the newer syntax requires structured control flow,
+ * which question graphs are not.  Each node is an activity, aliased by
+ * its id, that is introduced the first time it is the target of an edge;
+ * nodes without predecessors follow the start of the diagram.
+ *
+ * As with GraphToMermaid, generated XML is omitted.
+ */
+module.exports = class GraphToPlantUml
+{
+    /**
+     * Generate activity diagram of graph
+     *
+     * @param {Graph}   graph evaluated graph
+     * @param {string=} title diagram title
+     *
+     * @return {string} PlantUML diagram
+     */
+    toPlantUml( graph, title )
+    {
+        const nodes = graph.mapNodes( node => node )
+            .filter( node => node.data.type !== 'xml' );
+
+        const introduced = {};
+
+        const ref = node =>
+        {
+            if ( introduced[ node.id ] ) {
+                return `n${node.id}`;
+            }
+
+            introduced[ node.id ] = true;
+            return `"${this._nodeText( node )}" as n${node.id}`;
+        };
+
+        const lines = this._order( nodes ).map( node =>
+        {
+            const start = ( introduced[ node.id ] )
+                ? []
+                : [ `(*) --> ${ref( node )}` ];
+
+            return start.concat( this._outEdges( node ).map(
+                ( [ edge, out ] ) =>
+                    `n${node.id} -->${this._edgeLabel( edge )} ${ref( out )}`
+            ) );
+        } );
+
+        return [ '@startuml' ]
+            .concat(
+                ( title === undefined ) ? [] : [ `title ${title}` ],
+                ...lines,
+                [ '@enduml' ]
+            )
+            .join( "\n" ) + "\n";
+    }
+
+
+    /**
+     * Order nodes breadth-first from those without predecessors, so that
+     * each is introduced by an edge before its own edges are listed
+     *
+     * Nodes reachable only through cycles follow in their original order.
+     */
+    _order( nodes )
+    {
+        const byid = nodes.reduce( ( byid, node ) =>
+        {
+            byid[ node.id ] = node;
+            return byid;
+        }, {} );
+
+        const roots = nodes.filter( node => node.edges.in.every(
+            enode => byid[ enode.id ] === undefined
+        ) );
+
+        const seen = {};
+
+        return roots.concat( nodes ).reduce( ( order, start ) =>
+        {
+            const queue = [ start ];
+
+            while ( queue.length > 0 ) {
+                const node = queue.shift();
+
+                if ( seen[ node.id ] ) {
+                    continue;
+                }
+
+                seen[ node.id ] = true;
+                order.push( node );
+
+                this._outEdges( node ).forEach(
+                    ( [ , out ] ) => queue.push( byid[ out.id ] )
+                );
+            }
+
+            return order;
+        }, [] );
+    }
+
+
+    /**
+     * Pairs of edge data and destination node of each outgoing edge,
+     * excluding those to generated XML
+     */
+    _outEdges( node )
+    {
+        return node.edges.out
+            .filter( out => out.data.type !== 'xml' )
+            .map( out => out.reledges.map( edge => [ edge, out ] ) )
+            .reduce( ( edges, outs ) => edges.concat( outs ), [] );
+    }
+
+
+    /**
+     * Text of activity
+     *
+     * Activity text is quoted, so may not itself contain double quotes.
+     */
+    _nodeText( node )
+    {
+        const { type, label, desc, qid, qtype = 'unknown' } = node.data;
+
+        const lines = ( type === 'classes' )
+            ? [ "Class Codes" ]
+            : ( type === 'class' )
+                ? [ label ].concat( ( desc ) ? [ desc ] : [] )
+                : ( type === 'question' )
+                    ? [ label, `${qid}: ${qtype}` ]
+                    : ( type === 'attach-form' )
+                        ? [ `attach form ${label}` ]
+                        : [ label ];
+
+        return lines
+            .map( line => String( line )
+                .replace( /"/g, "'" )
+                .replace( /\n/g, ' ' )
+            )
+            .join( '\\n' );
+    }
+
+
+    /**
+     * Option and class predicate of condition edges, in brackets
+     */
+    _edgeLabel( edge )
+    {
+        const label = [ edge.cond, edge.pred && `class=${edge.pred}` ]
+            .filter( part => part )
+            .join( '; ' )
+            .replace( /]/g, ')' );
+
+        return ( label ) ? `[${label}]` : '';
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Self-contained HTML specification report
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const QuestionTree = require( './QuestionTree' );
+const XmlText      = require( './XmlText' );
+
+const esc = XmlText.escape;
+
+const _style = `
+body { font-family: sans-serif; margin: 0; display: flex; }
+nav { width: 18em; height: 100vh; overflow-y: auto; position: sticky;
+      top: 0; padding: 1em; box-sizing: border-box; background: #f4f4f4; }
+nav input { width: 100%; box-sizing: border-box; }
+nav ul { list-style: none; padding: 0; }
+main { flex: 1; padding: 1em 2em; min-width: 0; }
+section.class { border-top: 2px solid #888; margin-bottom: 2em; }
+.question { display: flex; gap: 1em; margin: 0.5em 0; }
+.question > .body { flex: 1; min-width: 0; }
+.question > pre { flex: 1; min-width: 0; overflow-x: auto; margin: 0;
+                  font-size: 0.8em; background: #f8f8f8; padding: 0.5em; }
+.qid { font-family: monospace; color: #555; }
+.qtype { font-size: 0.8em; border: 1px solid #999; border-radius: 3px;
+         padding: 0 0.3em; }
+.cond { font-weight: bold; }
+.action-ineligible { color: #c00; }
+.action-eligible { color: #080; }
+table { border-collapse: collapse; }
+td, th { text-align: left; padding: 0.1em 1em 0.1em 0; }
+[hidden] { display: none !important; }
+`;
+
+// filters the class index and class sections by the search terms
+const _script = `
+document.getElementById( 'search' ).addEventListener( 'input', function ()
+{
+    var term  = this.value.toLowerCase();
+    var items = document.querySelectorAll( '[data-search]' );
+
+    Array.prototype.forEach.call( items, function ( item )
+    {
+        item.hidden = item.getAttribute( 'data-search' ).indexOf( term ) < 0;
+    } );
+} );
+`;
+
+
+/**
+ * Generate a single HTML document describing a specification
+ *
+ * The report is intended for reviewers of specifications, who need not
+ * have any tools installed: it has no external resources and so can be
+ * attached to a ticket and opened offline.  It contains a searchable
+ * index of class codes, the questionnaire of each class (see
+ * QuestionTree) alongside the XML generated for each question, and the
+ * statistics of the graph.
+ */
+module.exports = class HtmlReport
+{
+    /**
+     * Initialize report generator
+     *
+     * @param {QuestionTree=} tree question tree builder
+     */
+    constructor( tree )
+    {
+        this._tree = tree || new QuestionTree();
+    }
+
+
+    /**
+     * Generate report from graph with generated XML
+     *
+     * @param {Graph}   graph evaluated graph
+     * @param {string=} title report title
+     *
+     * @return {string} HTML document
+     */
+    toHtml( graph, title )
+    {
+        const doc_title = title || "Specification Report";
+        const classes   = this._tree.fromGraph( graph );
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8" />',
+            `<title>${esc( doc_title )}</title>`,
+            `<style>${_style}</style>`,
+            '</head>',
+            '<body>',
+            this._index( classes ),
+            '<main>',
+            `<h1>${esc( doc_title )}</h1>`,
+            this._stats( graph.stats() ),
+        ].concat(
+            classes.map( cls => this._classSection( cls ) ),
+            [
+                '</main>',
+                `<script>${_script}</script>`,
+                '</body>',
+                '</html>',
+            ]
+        ).join( "\n" ) + "\n";
+    }
+
+
+    _index( classes )
+    {
+        const items = classes.map( ( { code, desc } ) =>
+            `<li data-search="${esc( this._searchText( code, desc ) )}">` +
+                `<a href="#${esc( this._anchor( code ) )}">` +
+                `${esc( code )}</a> ${esc( desc )}</li>`
+        );
+
+        return [
+            '<nav>',
+            '<input type="search" id="search" ' +
+                'placeholder="Search class codes" />',
+            '<ul>',
+        ].concat( items, [ '</ul>', '</nav>' ] ).join( "\n" );
+    }
+
+
+    _stats( stats )
+    {
+        const { types } = stats;
+
+        const rows = [
+            [ "Nodes", stats.nodeCount ],
+            [ "Edges", stats.edgeCount ],
+        ].concat( Object.keys( types ).map( type => [ type, types[ type ] ] ) );
+
+        return '<h2>Graph Statistics</h2>\n<table>\n' +
+            rows.map( ( [ name, count ] ) =>
+                `<tr><th>${esc( name )}</th><td>${esc( count )}</td></tr>`
+            ).join( "\n" ) +
+            '\n</table>';
+    }
+
+
+    _classSection( cls )
+    {
+        const { code, desc, questions } = cls;
+
+        const search = this._searchText( code, desc );
+
+        return `<section class="class" id="${esc( this._anchor( code ) )}" ` +
+                `data-search="${esc( search )}">\n` +
+            `<h2>Class ${esc( code )}</h2>\n` +
+            `<p>${esc( desc )}</p>\n` +
+            this._questionList( questions ) +
+            '\n</section>';
+    }
+
+
+    _questionList( questions )
+    {
+        if ( questions.length === 0 ) {
+            return '<p><em>No questions.</em></p>';
+        }
+
+        return '<ol>\n' +
+            questions.map( q => this._question( q ) ).join( "\n" ) +
+            '\n</ol>';
+    }
+
+
+    _question( q )
+    {
+        const options = ( q.options.length > 0 )
+            ? `<p>Options: ${q.options.map( esc ).join( ', ' )}</p>\n`
+            : '';
+
+        const answers = ( q.answers.length > 0 )
+            ? '<ul>\n' +
+                q.answers.map( answer => this._answer( answer ) ).join( "\n" ) +
+                '\n</ul>\n'
+            : '';
+
+        const xml = ( q.xml.length > 0 )
+            ? `<pre>${esc( q.xml.join( "\n\n" ) )}</pre>\n`
+            : '';
+
+        return '<li>\n<div class="question">\n<div class="body">\n' +
+            `<p>${esc( q.label )} ` +
+                `<span class="qid">${esc( q.qid )}</span> ` +
+                `<span class="qtype">${esc( q.qtype )}</span></p>\n` +
+            options +
+            answers +
+            '</div>\n' +
+            xml +
+            '</div>\n</li>';
+    }
+
+
+    _answer( answer )
+    {
+        const cond = ( answer.cond === undefined )
+            ? "any answer"
+            : answer.cond;
+
+        const text = ( answer.action === 'assert-class' )
+            ? `<a href="#${esc( this._anchor( answer.target.class ) )}">` +
+                esc( this._tree.actionText( answer ) ) + '</a>'
+            : esc( this._tree.actionText( answer ) );
+
+        const followup = ( answer.question )
+            ? '\n' + this._questionList( [ answer.question ] )
+            : '';
+
+        return `<li><span class="cond">${esc( cond )}</span>: ` +
+            `<span class="action-${esc( answer.action )}">${text}</span>` +
+            followup +
+            '</li>';
+    }
+
+
+    _anchor( code )
+    {
+        return `class-${code}`;
+    }
+
+
+    _searchText( code, desc )
+    {
+        return `${code} ${desc}`.toLowerCase();
+    }
+}
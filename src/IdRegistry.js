@@ -0,0 +1,284 @@
+/**
+ * Persistent registry of question ids
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const LabelText = require( './LabelText' );
+
+// version of registry documents (see IdRegistry#toJSON)
+const doc_version = 1;
+
+
+/**
+ * Question ids assigned by previous compilations
+ *
+ * Question ids are generated from labels (see SpecEvaluator), so any edit
+ * to a label would otherwise change its id.  The registry records the id
+ * of each label so that the id can be retained when the label changes
+ * slightly between revisions of a specification.
+ *
+ * Ids that are no longer used are retired rather than forgotten so that
+ * they are never reassigned to a different question.
+ */
+module.exports = class IdRegistry
+{
+    /**
+     * Initialize registry from document produced by #toJSON
+     *
+     * The similarity threshold determines how closely a label must match
+     * that of an unclaimed registered id in order to inherit it (see
+     * LabelText.similarity).
+     *
+     * @param {Object=} doc       registry document
+     * @param {number=} threshold minimum label similarity
+     */
+    constructor( doc, threshold )
+    {
+        const { version = doc_version, ids = {}, retired = {} } = doc || {};
+
+        if ( version !== doc_version ) {
+            throw Error( `Unsupported id registry version: ${version}` );
+        }
+
+        this._ids       = ids;
+        this._retired   = retired;
+        this._threshold = ( threshold === undefined ) ? 0.9 : threshold;
+    }
+
+
+    /**
+     * Find registered ids for labels
+     *
+     * Labels are first matched exactly, then by normal form (see
+     * LabelText.normalize), then by similarity against the remaining
+     * active ids.  Each id is matched to at most one label.
+     *
+     * @param {Array<string>} labels question labels
+     *
+     * @return {Object} ids indexed by label for each label that matched
+     */
+    resolve( labels )
+    {
+        const known = this._known();
+
+        const exact = this._match(
+            labels, known, {}, ( label, reg ) => label === reg
+        );
+
+        const normal = this._match(
+            labels, known, exact, ( label, reg ) =>
+                LabelText.normalize( label ) === LabelText.normalize( reg )
+        );
+
+        return this._matchSimilar( labels, normal );
+    }
+
+
+    /**
+     * All registered ids, active or retired
+     *
+     * @return {Object} labels indexed by id
+     */
+    taken()
+    {
+        return this._known();
+    }
+
+
+    /**
+     * Label last registered for id
+     *
+     * @param {string} id question id
+     *
+     * @return {string|undefined} label, if registered
+     */
+    labelOf( id )
+    {
+        return this._known()[ id ];
+    }
+
+
+    /**
+     * Replace active ids with those assigned by a compilation
+     *
+     * Previously active ids that were not assigned are retired.
+     *
+     * @param {Object} assigned ids indexed by label
+     *
+     * @return {Array<Object>} newly retired ids and their labels
+     */
+    update( assigned )
+    {
+        const ids = Object.keys( assigned ).reduce( ( ids, label ) =>
+        {
+            ids[ assigned[ label ] ] = label;
+            return ids;
+        }, {} );
+
+        const retired = Object.keys( this._ids )
+            .filter( id => ids[ id ] === undefined )
+            .map( id => ( { id: id, label: this._ids[ id ] } ) );
+
+        this._retired = Object.keys( this._retired )
+            .filter( id => ids[ id ] === undefined )
+            .reduce( ( all, id ) =>
+            {
+                all[ id ] = this._retired[ id ];
+                return all;
+            }, {} );
+
+        retired.forEach( ( { id, label } ) => this._retired[ id ] = label );
+
+        this._ids = ids;
+
+        return retired;
+    }
+
+
+    /**
+     * Serialize registry
+     *
+     * Ids are ordered so that the document is stable across compilations.
+     *
+     * @return {Object} registry document
+     */
+    toJSON()
+    {
+        const sorted = obj => Object.keys( obj ).sort().reduce(
+            ( sorted, id ) =>
+            {
+                sorted[ id ] = obj[ id ];
+                return sorted;
+            },
+            {}
+        );
+
+        return {
+            version: doc_version,
+            ids:     sorted( this._ids ),
+            retired: sorted( this._retired ),
+        };
+    }
+
+
+    _known()
+    {
+        return Object.keys( this._ids ).reduce( ( known, id ) =>
+        {
+            known[ id ] = this._ids[ id ];
+            return known;
+        }, Object.keys( this._retired ).reduce( ( known, id ) =>
+        {
+            known[ id ] = this._retired[ id ];
+            return known;
+        }, {} ) );
+    }
+
+
+    /**
+     * Match unmatched labels against unclaimed ids using predicate `c'
+     *
+     * @param {Array<string>} labels  question labels
+     * @param {Object}        known   labels indexed by id
+     * @param {Object}        matched ids indexed by label matched thus far
+     * @param {Function}      c       predicate of label and registered label
+     *
+     * @return {Object} ids indexed by label, including `matched'
+     */
+    _match( labels, known, matched, c )
+    {
+        const claimed = this._claimed( matched );
+
+        return labels
+            .filter( label => matched[ label ] === undefined )
+            .reduce( ( matched, label ) =>
+            {
+                const id = Object.keys( known ).filter(
+                    id => !claimed[ id ] && c( label, known[ id ] )
+                )[ 0 ];
+
+                if ( id !== undefined ) {
+                    matched[ label ] = id;
+                    claimed[ id ]    = true;
+                }
+
+                return matched;
+            }, this._copy( matched ) );
+    }
+
+
+    /**
+     * Match remaining labels to the most similar unclaimed active id
+     *
+     * Retired ids are not considered, since their questions were removed
+     * and should not be mistaken for new ones.  Ambiguous matches (where
+     * multiple ids are equally similar) are not made.
+     */
+    _matchSimilar( labels, matched )
+    {
+        const claimed = this._claimed( matched );
+
+        return labels
+            .filter( label => matched[ label ] === undefined )
+            .reduce( ( matched, label ) =>
+            {
+                const scored = Object.keys( this._ids )
+                    .filter( id => !claimed[ id ] )
+                    .map( id => [
+                        id,
+                        LabelText.similarity(
+                            label, this._ids[ id ], this._threshold
+                        ),
+                    ] )
+                    .filter( ( [ , score ] ) => score >= this._threshold )
+                    .sort( ( [ , a ], [ , b ] ) => b - a );
+
+                const [ best, next ] = scored;
+
+                if ( best && !( next && ( next[ 1 ] === best[ 1 ] ) ) ) {
+                    matched[ label ]     = best[ 0 ];
+                    claimed[ best[ 0 ] ] = true;
+                }
+
+                return matched;
+            }, this._copy( matched ) );
+    }
+
+
+    _claimed( matched )
+    {
+        return Object.keys( matched ).reduce( ( claimed, label ) =>
+        {
+            claimed[ matched[ label ] ] = true;
+            return claimed;
+        }, {} );
+    }
+
+
+    _copy( obj )
+    {
+        return Object.keys( obj ).reduce( ( copy, key ) =>
+        {
+            copy[ key ] = obj[ key ];
+            return copy;
+        }, {} );
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Question label text processing
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+/**
+ * Operations on question labels shared between compiler stages
+ */
+module.exports = class LabelText
+{
+    /**
+     * Normalize label for comparison
+     *
+     * Labels that differ only in case, punctuation or whitespace have the
+     * same normal form.
+     *
+     * @param {string} label question label
+     *
+     * @return {string} normalized label
+     */
+    static normalize( label )
+    {
+        return label
+            .toLowerCase()
+            .replace( /[^a-z0-9 ]+/g, ' ' )
+            .replace( /\s+/g, ' ' )
+            .trim();
+    }
+
+
+    /**
+     * Strip leading filler words and trailing question mark from label
+     *
+     * For example, "Does the applicant have employees?" becomes
+     * "applicant have employees".
+     *
+     * @param {string} label question label
+     *
+     * @return {string} label without filler
+     */
+    static stripFiller( label )
+    {
+        return label.replace(
+            /^(?:do(?:es)?|is|any)\s*(?:the\s*)?(.*?)\??$/i, '$1'
+        );
+    }
+
+
+    /**
+     * Similarity of labels, ignoring differences removed by #normalize
+     *
+     * This is the Levenshtein distance between the normalized labels
+     * relative to the length of the longer of the two, subtracted from
+     * one; identical labels therefore have a similarity of 1.
+     *
+     * Comparing many labels is expensive, but usually only similar labels
+     * are of interest: given a minimum similarity `min', labels that
+     * cannot meet it (including those whose lengths differ too greatly)
+     * have a similarity of 0 without computing their full distance.
+     *
+     * @param {string}  a   first label
+     * @param {string}  b   second label
+     * @param {number=} min minimum similarity of interest
+     *
+     * @return {number} similarity between 0 and 1, inclusive
+     */
+    static similarity( a, b, min )
+    {
+        const na  = this.normalize( a );
+        const nb  = this.normalize( b );
+        const len = Math.max( na.length, nb.length );
+
+        if ( len === 0 ) {
+            return 1;
+        }
+
+        // greatest distance yielding at least the minimum similarity
+        // (allowing for floating point error)
+        const limit = ( min === undefined )
+            ? len
+            : Math.floor( ( 1 - min ) * len + 1e-9 );
+
+        if ( Math.abs( na.length - nb.length ) > limit ) {
+            return 0;
+        }
+
+        const dist = this._distance( na, nb, limit );
+
+        return ( dist > limit )
+            ? 0
+            : 1 - ( dist / len );
+    }
+
+
+    /**
+     * Levenshtein distance between two strings, up to `limit'
+     *
+     * Only a single row of the distance matrix is retained.  Once every
+     * entry of a row exceeds the limit, no later row can be within it,
+     * and so `limit + 1' is returned.
+     */
+    static _distance( a, b, limit )
+    {
+        let prev = Array.from( { length: b.length + 1 }, ( _, j ) => j );
+
+        for ( let i = 0; i < a.length; i++ ) {
+            const row = [ i + 1 ];
+
+            for ( let j = 0; j < b.length; j++ ) {
+                row.push( Math.min(
+                    prev[ j + 1 ] + 1,
+                    row[ j ] + 1,
+                    prev[ j ] + ( ( a[ i ] === b[ j ] ) ? 0 : 1 )
+                ) );
+            }
+
+            if ( Math.min.apply( null, row ) > limit ) {
+                return limit + 1;
+            }
+
+            prev = row;
+        }
+
+        return prev[ b.length ];
+    }
+}
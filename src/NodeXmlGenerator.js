@@ -21,11 +21,50 @@
 
 'use strict';
 
+const crypto         = require( 'crypto' );
+const LabelText      = require( './LabelText' );
+const SourceLocation = require( './SourceLocation' );
+const XmlChecker     = require( './XmlChecker' );
+const XmlElement     = require( './XmlElement' );
+const XmlPrinter     = require( './XmlPrinter' );
+
+
+const el = ( name, attrs, children ) => new XmlElement( name, attrs, children );
+
+// param types of question types, where not `integer' (selects are typed
+// by their enumerations); dates are compared as integers of the form
+// YYYYMMDD (see NodeXmlGenerator#_cmpConst)
+const _ptypes = {
+    noyes:    'boolean',
+    currency: 'float',
+    percent:  'float',
+    date:     'integer',
+};
+
+// question types whose values are compared numerically; all others are
+// matched against their options (see NodeXmlGenerator#_convertCond)
+const _cmpTypes = [ 'integer', 'currency', 'percent', 'year', 'date' ];
+
+
 /**
  * Generate template XML from graph
+ *
+ * XML is built as XmlElement trees and serialized by a single printer,
+ * so all generated XML is formatted and escaped consistently.
  */
 module.exports = class NodeXmlGenerator
 {
+    /**
+     * Initialize generator
+     *
+     * @param {XmlPrinter=} printer serializer of generated XML
+     */
+    constructor( printer )
+    {
+        this._printer = printer || new XmlPrinter();
+    }
+
+
     generateXml( graph )
     {
         return new Promise( resolve =>
@@ -44,33 +83,119 @@ module.exports = class NodeXmlGenerator
 
                     case 'attach-form':
                         return this._genFormXml( graph, node );
+
+                    case 'surcharge':
+                        return this._genSurchargeXml( graph, node );
+
+                    case 'exclude':
+                        return this._genActionXml(
+                            graph, node, 'exclusions', 'exclusion', {}
+                        );
+
+                    case 'doc':
+                        return this._genActionXml(
+                            graph, node, 'docs', 'doc', {}
+                        );
                 }
             } );
 
-            resolve( graph );
+            resolve( this._checkXml( graph ) );
         } );
     }
 
 
+    /**
+     * Verify that all generated XML is well-formed
+     *
+     * Specification text is escaped as it is placed into XML, so a
+     * failure here indicates a bug in the generator; the errors are
+     * reported against the source location of the node that produced
+     * the XML so that the offending text can be found.
+     *
+     * @param {Graph} graph graph with generated XML
+     *
+     * @throws {Error} with `diagnostics' field if any XML is malformed
+     *
+     * @return {Graph} graph
+     */
+    _checkXml( graph )
+    {
+        const checker = new XmlChecker();
+
+        const errors = graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'xml' )
+            .map( node =>
+            {
+                try {
+                    checker.check( node.data.label );
+                    return null;
+                }
+                catch ( e ) {
+                    e.loc = this._sourceLoc( node );
+                    return e;
+                }
+            } )
+            .filter( e => e !== null );
+
+        if ( errors.length === 0 ) {
+            return graph;
+        }
+
+        const e = Error(
+            "Malformed XML generated:\n\n" +
+                errors.map( err =>
+                    SourceLocation.format( err.message, err.loc ) + "\n" +
+                    SourceLocation.snippet( err, err.column - 1 )
+                ).join( "\n\n" )
+        );
+
+        e.diagnostics = errors;
+
+        throw e;
+    }
+
+
+    /**
+     * Source location of the nearest node from which the given node was
+     * generated
+     */
+    _sourceLoc( node, seen )
+    {
+        const visited = seen || {};
+
+        if ( node.data.loc || visited[ node.id ] ) {
+            return node.data.loc;
+        }
+
+        visited[ node.id ] = true;
+
+        return node.edges.in.reduce(
+            ( loc, enode ) => loc || this._sourceLoc( enode, visited ),
+            undefined
+        );
+    }
+
+
     _genClassRootXml( graph, node )
     {
         const classes = node.edges.out.filter( enode => enode.type === 'class' );
 
-        const cxml = classes.map( cnode =>
+        const items = classes.map( cnode =>
         {
             const { class: code, desc } = cnode.data;
 
-            const cdesc = this._xmlEscape( desc || `Class ${code}` );
-
-            return `    <item name="CLASS_${code}" value="${code}"\n` +
-                `          desc="${cdesc}" />`;
+            return el( 'item', {
+                name:  `CLASS_${code}`,
+                value: code,
+                desc:  desc || `Class ${code}`,
+            } );
         } );
 
-        const typedef = `<typedef name="classCode" desc="ISO Class Codes">\n` +
-            `  <enum type="integer">\n` +
-            cxml.join( "\n" ) + "\n" +
-            `  </enum>\n` +
-            `</typedef>`;
+        const typedef = el(
+            'typedef',
+            { name: 'classCode', desc: 'ISO Class Codes' },
+            [ el( 'enum', { type: 'integer' }, items ) ]
+        );
 
         this._attachXmlNode(
             graph, node, typedef, 'typedefs', 'xml$class$typedef'
@@ -82,18 +207,19 @@ module.exports = class NodeXmlGenerator
 
     _genClassClasses( graph, node, classes )
     {
-        const xml = classes.map( cnode =>
+        const classifies = classes.map( cnode =>
         {
             const cid = cnode.data.class;
 
-            return `<classify as="any-${cid}"\n` +
-                `          desc="${cid} chosen">\n` +
-                `  <match on="class" value="CLASS_${cid}" />\n` +
-                `</classify>`
-        } ).join( "\n" );
+            return el(
+                'classify',
+                { as: `any-${cid}`, desc: `${cid} chosen` },
+                [ el( 'match', { on: 'class', value: `CLASS_${cid}` } ) ]
+            );
+        } );
 
         this._attachXmlNode(
-            graph, node, xml, 'classclasses', 'xml$class$classes'
+            graph, node, classifies, 'classclasses', 'xml$class$classes'
         );
 
         return node;
@@ -104,20 +230,20 @@ module.exports = class NodeXmlGenerator
     {
         const { qid, label, qtype } = node.data;
 
-        const esclabel = this._xmlEscape( label );
-
         const [ cnode, when ] = this._genWhen( graph, node );
-        const tail            = this._genTail( graph, node );
 
-        const xml =
-            `<question id="${qid}"\n` +
-            `           label="${esclabel}"\n` +
-            `           type="${qtype}"\n` +
-            `           when="${when}"${tail}`;
+        const question = el(
+            'question',
+            { id: qid, label: label, type: qtype, when: when },
+            [
+                this._genQtypeBody( node ),
+                this._genAsserts( graph, node ),
+            ]
+        );
 
         const xml_node = graph.addNode( {
             type:  'xml',
-            label: xml,
+            label: this._printer.print( question ),
             group: 'questions',
         }, `xml$q${node.id}` );
 
@@ -133,6 +259,10 @@ module.exports = class NodeXmlGenerator
             );
         }
 
+        if ( qtype === 'select' ) {
+            this._genTypedefXml( graph, node, xml_node );
+        }
+
         this._genParamXml( graph, node, xml_node );
         this._genInputMapXml( graph, node, xml_node );
 
@@ -140,37 +270,13 @@ module.exports = class NodeXmlGenerator
     }
 
 
-    _xmlEscape( str )
-    {
-        return str.replace( /&/g, '&amp;' )
-            .replace( /"/g, '&dquo;' )
-            .replace( /</g, '&lt;' )
-            .replace( />/g, '&gt;' );
-    }
-
-
-    _genTail( graph, node )
-    {
-        const parts = [
-            this._genQtypeBody( node ),
-            this._genAsserts( graph, node ),
-        ].filter( p => !!p );
-
-        if ( parts.length > 0 ) {
-            return '>\n' + parts.join( "\n\n" ) + '\n</question>';
-        }
-
-        return ' />';
-    }
-
-
     _genQtypeBody( node )
     {
         if ( node.data.qtype === 'select' ) {
             return this._genSelectOptions( node );
         }
 
-        return "";
+        return [];
     }
 
 
@@ -184,21 +290,17 @@ module.exports = class NodeXmlGenerator
      * @param {Object} graph destination graph
      * @param {Object} node  question node
      *
-     * @return {string} generated assertion XML
+     * @return {Array<XmlElement>} assertions
      */
     _genAsserts( graph, node )
     {
         // class dependencies count as assertions on that respective class
         const cnodes = graph.getEdgeNodesOfType( 'class', node.edges.out );
 
-        if ( cnodes.length === 0 ) {
-            return "";
-        }
-
         // for each class node (cnode), the `reledges' field contains the
         // `assert-class' edges contributing to this relationship
         // TODO: probably want `@forEach' on assertions
-        return cnodes.reduce( ( xml, cnode ) =>
+        return cnodes.reduce( ( asserts, cnode ) =>
         {
             const { class: ref, label } = cnode.data;
 
@@ -206,42 +308,45 @@ module.exports = class NodeXmlGenerator
 
             const message = `${label} required`;
 
-            return cedges.map(cedge =>
-            {
-                const value = this._genCondAssertValue( cedge );
-                const cxml  = this._genCondAssert( cedge, message, ref );
-
-                return xml +
-                    `    <assert:equal value="'${value}'" ` +
-                    `recordFailure="false">\n` +
-                    `      <assert:success>\n` +
-                    cxml +
-                    `      </assert:success>\n`+
-                    `    </assert:equal>\n`;
-            } ).join( "\n" );
-        }, "" );
+            return asserts.concat( cedges.map( cedge =>
+                el(
+                    'assert:equal',
+                    {
+                        value:         `'${this._genCondAssertValue( cedge )}'`,
+                        recordFailure: 'false',
+                    },
+                    [
+                        el( 'assert:success', {}, [
+                            this._genCondAssert( cedge, message, ref ),
+                        ] ),
+                    ]
+                )
+            ) );
+        }, [] );
     }
 
 
     _genCondAssert( edge, message, ref )
     {
-        const ws = "        ";
-
-        const condxml =
-            `${ws}<assert:equal ref="c:any-${ref}" value="'1'">\n` +
-            `${ws}  <assert:message>${message}</assert:message>\n` +
-            `${ws}</assert:equal>\n`;
+        const condxml = el(
+            'assert:equal',
+            { ref: `c:any-${ref}`, value: "'1'" },
+            [ el( 'assert:message', {}, [ message ] ) ]
+        );
 
         if ( edge.pred === undefined ) {
-            return condxml + "\n";
+            return condxml;
         }
 
-        return `${ws}<assert:equal ref="c:any-${edge.pred}" value="'1'" ` +
-            `recordFailure="false">\n` +
-            `${ws}  <assert:success>\n` +
-            condxml.replace( /^/mg, '    ' ) + "\n" +
-            `${ws}  </assert:success>\n` +
-            `${ws}</assert:equal>\n`;
+        return el(
+            'assert:equal',
+            {
+                ref:           `c:any-${edge.pred}`,
+                value:         "'1'",
+                recordFailure: 'false',
+            },
+            [ el( 'assert:success', {}, [ condxml ] ) ]
+        );
     }
 
 
@@ -256,12 +361,114 @@ module.exports = class NodeXmlGenerator
 
     _genSelectOptions( node )
     {
-        const { qopts = {} } = node.data;
+        return [ el( 'option', {}, [ '(Please select)' ] ) ].concat(
+            this._selectItems( node ).map(
+                item => el( 'option', { value: item.name }, [ item.desc ] )
+            )
+        );
+    }
+
+
+    /**
+     * Enumerated items of select question options
+     *
+     * Item names are derived from the question id and option text (see
+     * #_itemName), and values from a hash of the item name; both are
+     * therefore stable so long as neither changes, regardless of what
+     * other options the question may have.  Options with the same item
+     * name are considered to be the same option.
+     *
+     * @param {Object} node question node
+     *
+     * @return {Array<Object>} items with `name', `value' and `desc', in
+     *                         order of option
+     */
+    _selectItems( node )
+    {
+        const { qid, qopts = {} } = node.data;
+
+        return Object.keys( qopts ).reduce( ( items, opt ) =>
+        {
+            const name = this._itemName( qid, opt );
+
+            if ( items.some( item => item.name === name ) ) {
+                return items;
+            }
+
+            const hash  = crypto.createHash( 'sha256' ).update( name ).digest( 'hex' );
+            const value = this._itemValue( hash, 0, items );
+
+            return items.concat( [ {
+                name:  name,
+                value: value,
+                desc:  qopts[ opt ],
+            } ] );
+        }, [] );
+    }
+
+
+    /**
+     * Integer value from hash unique among `items'
+     *
+     * Successive windows of the hash are tried in the unlikely event of a
+     * collision.
+     */
+    _itemValue( hash, offset, items )
+    {
+        const value = parseInt( hash.substr( offset, 7 ), 16 );
+
+        return ( items.some( item => item.value === value ) )
+            ? this._itemValue( hash, offset + 1, items )
+            : value;
+    }
+
+
+    /**
+     * Name of enumerated item for question option
+     *
+     * @param {string} qid question id
+     * @param {string} opt option text
+     *
+     * @return {string} item name (e.g. Q_ABCDE_WOOD_SHAKE)
+     */
+    _itemName( qid, opt )
+    {
+        const slug = opt.toLowerCase()
+            .replace( /[^a-z0-9]+/g, '_' )
+            .replace( /^_+|_+$/g, '' );
+
+        return ( qid + '_' + ( slug || 'opt' ) ).toUpperCase();
+    }
+
+
+    _typedefName( qid )
+    {
+        return qid.replace( /_+([a-z0-9])/gi, ( _, c ) => c.toUpperCase() ) +
+            'Type';
+    }
+
+
+    _genTypedefXml( graph, node, edge_from )
+    {
+        const { qid, label } = node.data;
+
+        const items = this._selectItems( node ).map( item => el( 'item', {
+            name:  item.name,
+            value: item.value,
+            desc:  item.desc,
+        } ) );
+
+        const typedef = el(
+            'typedef',
+            { name: this._typedefName( qid ), desc: label },
+            [ el( 'enum', { type: 'integer' }, items ) ]
+        );
+
+        this._attachXmlNode(
+            graph, edge_from, typedef, 'typedefs', `xml$typedef$${qid}`
+        );
 
-        return "   <option>(Please select)</option>\n" +
-            Object.keys( qopts )
-                .map( opt => `   <option>${opt}</option>` )
-                .join( "\n" );
+        return node;
     }
 
 
@@ -277,9 +484,7 @@ module.exports = class NodeXmlGenerator
             enode => enode.type === 'question'
         );
 
-        return parents.map( parent =>
-            `  <match on="${parent.data.qid}" />`
-        ).join( "\n" );
+        return parents.map( parent => el( 'match', { on: parent.data.qid } ) );
     }
 
 
@@ -290,15 +495,12 @@ module.exports = class NodeXmlGenerator
         // why bother)
         const cmatches = node.edges.in
             .filter( enode => enode.type === 'class' )
-            .map( enode => 'CLASS_' + enode.data.class )
-            .reduce(
-                ( xml, cstr ) =>
-                    xml + `  <match on="class" value="${cstr}" />\n`,
-                ""
-            );
+            .map( enode => el( 'match', {
+                on:    'class',
+                value: 'CLASS_' + enode.data.class,
+            } ) );
 
-        const pmatches = this._getParentMatches( node );
-        const matches  = cmatches + pmatches + ( pmatches ? '\n' : '' );
+        const matches = cmatches.concat( this._getParentMatches( node ) );
 
         // we're always going to generate a classification, even if there
         // are no matches, for the sake of simplicity (TODO: remove
@@ -307,17 +509,16 @@ module.exports = class NodeXmlGenerator
         // they might exist
         const cid      = this._qwhenId( node.data.qid );
         const desc     = `${node.data.qid} applicable`;
-        const classify = `<classify as="${cid}" any="true" desc="${desc}">\n` +
-              ( ( matches )
-                  ? matches
-                  : `  <match on="alwaysTrue" />\n`
-              ) +
-              `</classify>`;
+        const classify = el( 'classify', { as: cid, any: 'true', desc: desc },
+            ( matches.length > 0 )
+                ? matches
+                : [ el( 'match', { on: 'alwaysTrue' } ) ]
+        );
 
         const cnode = graph.addNodeIfNew(
             {
                 type: 'xml',
-                label: classify,
+                label: this._printer.print( classify ),
                 group: 'classes',
             },
             `xml$c$${cid}`
@@ -333,8 +534,23 @@ module.exports = class NodeXmlGenerator
     }
 
 
-    _attachXmlNode( graph, node, xml, group, indexed_by )
+    /**
+     * Attach node containing serialized elements to `node'
+     *
+     * Nothing is attached if there are no elements.
+     *
+     * @param {Object}                       graph      destination graph
+     * @param {Object}                       node       node to attach to
+     * @param {XmlElement|Array<XmlElement>} elements   elements to serialize
+     * @param {string}                       group      output group
+     * @param {string}                       indexed_by index of new node
+     *
+     * @return {?Object} new XML node, or null if there are no elements
+     */
+    _attachXmlNode( graph, node, elements, group, indexed_by )
     {
+        const xml = this._printer.print( elements );
+
         if ( !xml ) {
             return null;
         }
@@ -356,10 +572,7 @@ module.exports = class NodeXmlGenerator
 
         const labels = questions.reduce( ( labels, enode ) =>
         {
-            const label = enode.data.label
-                  .replace( /^(?:do(?:es)?|is|any)\s*(?:the\s*)?(.*?)\??$/i, '$1' );
-
-            labels[ enode.data.qid ] = label;
+            labels[ enode.data.qid ] = LabelText.stripFiller( enode.data.label );
             return labels;
         }, {} );
 
@@ -367,18 +580,11 @@ module.exports = class NodeXmlGenerator
 
         // generate submits for each question (they're actually prohibits,
         // but submits allow us to see every reason without aborting)
-        const submits = Object.keys( qconds ).map( qid =>
-        {
-            const reason  = this._xmlEscape( labels[ qid ] );
-            const matches = this._xmlEncloseAndIndent(
-                this._genCondMatches( qconds, qid ),
-                'any'
-            );
-
-            return `<t:submit id="${this._idToCid(qid)}"\n` +
-                `          reason="${reason}">\n${matches}</t:submit>`;
-        } ).join( "\n\n\n" );
-
+        const submits = Object.keys( qconds ).map( qid => el(
+            't:submit',
+            { id: this._idToCid( qid ), reason: labels[ qid ] },
+            this._allOf( this._genCondMatches( qconds, qid ) )
+        ) );
 
         // produce XML node for submits
         this._attachXmlNode(
@@ -394,66 +600,188 @@ module.exports = class NodeXmlGenerator
         const questions = graph.getEdgeNodesOfType( 'question', node.edges.in );
 
         // each `cond' edge from question nodes carries the value of the
-        // question that will trigger a prohibit
+        // question that will trigger a prohibit; the type of the question
+        // determines how that value is matched (see #_convertCond)
         return questions.reduce( ( conds, enode ) =>
         {
-            const qid = enode.data.qid;
+            const { qid, qtype } = enode.data;
 
-            conds[ qid ] = [];
-
-            enode.reledges
-                .filter( edge => edge.action === edge_action )
-                .forEach( edge => conds[ qid ].push( edge ) );
+            conds[ qid ] = {
+                qtype: qtype,
+                edges: enode.reledges.filter(
+                    edge => edge.action === edge_action
+                ),
+            };
 
             return conds;
         }, {} );
     }
 
 
+    /**
+     * Generate a group of matches for each condition of the given
+     * question
+     *
+     * All matches of a group must hold for its condition to be met; see
+     * #_allOf and #_anyOf for combining groups.
+     *
+     * @param {Object} qconds condition edges indexed by question id
+     * @param {string} qid    question id
+     *
+     * @return {Array<Array<XmlElement>>} match groups
+     */
     _genCondMatches( qconds, qid )
     {
-        const { conds } = qconds[ qid ];
+        const { qtype, edges } = qconds[ qid ];
 
-        // TOOD: e.g. "greater than X"
-        return qconds[ qid ].map( qcond =>
+        return edges.map( qcond =>
         {
-            const cond  = this._convertCond( qcond.cond, qid );
-            const pred  = `CLASS_${qcond.pred}`;
-            const qwhen = this._qwhenId( qid );
-            const sp    = ( qcond.pred ) ? '  ' : '';
-
-            return (
-                ( qcond.pred
-                    ? `  <all>\n    <match on="class" value="${pred}" />\n`
-                    : ''
-                ) +
-                `${sp}  <match on="${qid}" value="${cond}" />\n` +
-                `${sp}  <t:match-class name="${qwhen}" />\n` +
-                ( qcond.pred ? '  </all>\n' : '' )
+            const pred     = `CLASS_${qcond.pred}`;
+            const pmatches = ( qcond.pred )
+                ? [ el( 'match', { on: 'class', value: pred } ) ]
+                : [];
+
+            return pmatches.concat(
+                this._genValueMatches( qcond, qid, qtype ),
+                [ el( 't:match-class', { name: this._qwhenId( qid ) } ) ]
             );
         } );
     }
 
 
-    _convertCond( cond, qid )
+    /**
+     * Match groups for the conditions of all questions
+     *
+     * @param {Object} qconds condition edges indexed by question id
+     *
+     * @return {Array<Array<XmlElement>>} match groups
+     */
+    _genAllCondMatches( qconds )
     {
-        return {
-            yes: 'TRUE',
-            no:  'FALSE',
-        }[ cond ] || ( qid + '_' + this._genCondId(cond) ).toUpperCase();
+        return Object.keys( qconds ).reduce(
+            ( groups, qid ) =>
+                groups.concat( this._genCondMatches( qconds, qid ) ),
+            []
+        );
     }
 
 
-    _idToCid( id )
+    /**
+     * Matches for a context in which all matches must hold, such that
+     * any one of the given match groups is met
+     *
+     * @param {Array<Array<XmlElement>>} groups match groups
+     *
+     * @return {Array<XmlElement>} matches
+     */
+    _allOf( groups )
     {
-        return id.replace( /_/g, '-' );
+        return ( groups.length === 1 )
+            ? groups[ 0 ]
+            : [ el( 'any', {}, this._anyOf( groups ) ) ];
+    }
+
+
+    /**
+     * Matches for a context in which any one match must hold, such that
+     * any one of the given match groups is met
+     *
+     * @param {Array<Array<XmlElement>>} groups match groups
+     *
+     * @return {Array<XmlElement>} matches
+     */
+    _anyOf( groups )
+    {
+        return groups.map( group => ( group.length === 1 )
+            ? group[ 0 ]
+            : el( 'all', {}, group )
+        );
+    }
+
+
+    /**
+     * Generate matches on the question value for the given condition edge
+     *
+     * Comparisons (see SpecParser#_lexCmp) on numeric questions produce
+     * TAME comparisons against constants; `between' yields a match for
+     * each of its inclusive bounds.  Dates are numeric comparisons too.
+     * Conditions of all other questions, comparisons included, are options
+     * and so are matched by value.
+     *
+     * @param {Object} edge  condition edge
+     * @param {string} qid   question id
+     * @param {string} qtype question type
+     *
+     * @return {Array<XmlElement>} matches
+     */
+    _genValueMatches( edge, qid, qtype )
+    {
+        const { op, values } = edge.cmp || { op: 'eq', values: [] };
+
+        if ( _cmpTypes.indexOf( qtype ) > -1 ) {
+            return ( op === 'between' )
+                ? [
+                    this._genCmpMatch( qid, 'gte', values[ 0 ] ),
+                    this._genCmpMatch( qid, 'lte', values[ 1 ] ),
+                ]
+                : [ this._genCmpMatch( qid, op, values[ 0 ] ) ];
+        }
+
+        const cond = this._convertCond( edge.cond, qid, qtype );
+
+        return [ el( 'match', { on: qid, value: cond } ) ];
+    }
+
+
+    _genCmpMatch( qid, op, value )
+    {
+        return el( 'match', { on: qid }, [
+            el( `c:${op}`, {}, [
+                el( 'c:value-of', { name: `#${this._cmpConst( value )}` } ),
+            ] ),
+        ] );
     }
 
 
-    _genCondId( cond )
+    /**
+     * Numeric constant of comparison operand
+     *
+     * Dates (see SpecParser#_cmpValue) are not numeric, but compare the
+     * same way as integers of the form YYYYMMDD.
+     */
+    _cmpConst( value )
     {
-        return cond.replace( / +/g, /_/ )
-            .replace( /[^\w]/g, '' );
+        return ( /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test( value ) )
+            ? +value.replace( /-/g, '' )
+            : value;
+    }
+
+
+    /**
+     * Value to match for the given condition
+     *
+     * Only `noyes' questions are boolean; the options of all other
+     * questions (including `yes' and `no' of a select) are typedef items.
+     *
+     * @param {string} cond  condition text
+     * @param {string} qid   question id
+     * @param {string} qtype question type
+     *
+     * @return {string} match value
+     */
+    _convertCond( cond, qid, qtype )
+    {
+        const bools = ( qtype === 'noyes' )
+            ? { yes: 'TRUE', no: 'FALSE' }
+            : {};
+
+        return bools[ cond.toLowerCase() ] || this._itemName( qid, cond );
+    }
+
+
+    _idToCid( id )
+    {
+        return id.replace( /_/g, '-' );
     }
 
 
@@ -463,66 +791,163 @@ module.exports = class NodeXmlGenerator
         const fconds = this._getQconds( 'attach-form', graph, node );
         const name   = node.data.label;
 
-        // generate prohibits for each question
-        const matches = Object.keys( fconds ).map(
-            qid => this._genCondMatches( fconds, qid ).join( "" )
+        const groups = this._genAllCondMatches( fconds );
+        const form   = el(
+            't:form', { num: 'TODO', name: name }, this._allOf( groups )
         );
 
-        const matchxml = this._xmlEncloseAndIndent( matches, 'any' );
-        const formxml  = `<t:form num="TODO"\n` +
-            `        name="${name}">\n${matchxml}</t:form>`;
-
-        // produce XML node for prohibits
         this._attachXmlNode(
-            graph, node, formxml, 'forms', `xml$form$${name}`
+            graph, node, form, 'forms', `xml$form$${name}`
         );
 
         return node;
     }
 
 
-    _genInputMapXml( graph, node, edge_from )
+    /**
+     * Generate surcharge classification and template
+     *
+     * The surcharge is either a percentage (e.g. "surcharge 10%") or an
+     * amount (e.g. "surcharge $500"); if neither can be determined, it is
+     * left for the developer.
+     *
+     * @param {Object} graph destination graph
+     * @param {Object} node  surcharge node
+     *
+     * @return {Object} surcharge node
+     */
+    _genSurchargeXml( graph, node )
     {
-        const { qid } = node.data;
-        const mxml    = `<pass name="${qid}" />`
+        const [ , dollar, num, percent ] = String( node.data.value ).match(
+            /(\$?)([0-9][0-9,]*(?:\.[0-9]+)?)\s*(%?)/
+        ) || [];
+
+        const value = ( num || '' ).replace( /,/g, '' );
+
+        const attrs = ( percent )
+            ? { percent: value }
+            : ( dollar || num )
+                ? { amount: value }
+                : { percent: "TODO" };
+
+        return this._genActionXml(
+            graph, node, 'surcharges', 'surcharge', attrs
+        );
+    }
+
+
+    /**
+     * Generate classification matching the conditions that trigger an
+     * action, along with a template applying that action
+     *
+     * The template is given the classification, a description of the
+     * action (its text) and any additional attributes `attrs'.
+     *
+     * @param {Object} graph  destination graph
+     * @param {Object} node   action node
+     * @param {string} group  output group
+     * @param {string} tpl    template name
+     * @param {Object} attrs  additional template attributes
+     *
+     * @return {Object} action node
+     */
+    _genActionXml( graph, node, group, tpl, attrs )
+    {
+        const qconds = this._getQconds( node.data.type, graph, node );
+        const desc   = String( node.data.value ).replace( /\.$/, '' );
+
+        const cid = this._uniqueCid( graph, node.data.type + '-' + desc
+            .replace( /^(?:surcharge|exclude|see|require the user)\s+/i, '' )
+            .toLowerCase()
+            .replace( /%/g, ' pct' )
+            .replace( /[$,]/g, '' )
+            .replace( /[^a-z0-9]+/g, '-' )
+            .replace( /^-+|-+$/g, '' ) );
+
+        const groups = this._genAllCondMatches( qconds );
+
+        const classify = el(
+            'classify',
+            { as: cid, any: 'true', desc: desc },
+            this._anyOf( groups )
+        );
+
+        const tplattrs = Object.keys( attrs ).reduce( ( tplattrs, attr ) =>
+        {
+            tplattrs[ attr ] = attrs[ attr ];
+            return tplattrs;
+        }, { 'class': cid } );
+
+        tplattrs.desc = desc;
+
+        const tplxml = el( `t:${tpl}`, tplattrs );
 
         this._attachXmlNode(
-            graph, edge_from, mxml, 'inmaps', `xml$inmap$${qid}`
+            graph, node, [ classify, tplxml ], group, `xml$${cid}`
         );
 
         return node;
     }
 
 
-    _genParamXml( graph, node, edge_from )
+    /**
+     * Classification id not yet used by the XML of another action
+     *
+     * Distinct actions may have descriptions that differ only in case or
+     * punctuation (e.g. "surcharge 10%." and "Surcharge 10%"), which
+     * yield the same id; later actions are given a numeric suffix so
+     * that their classifications remain separate.
+     *
+     * @param {Object} graph destination graph
+     * @param {string} base  classification id derived from description
+     *
+     * @return {string} unused classification id
+     */
+    _uniqueCid( graph, base )
     {
-        const { qid, label } = node.data;
+        let cid = base;
 
-        const esclabel = this._xmlEscape( label );
+        for ( let n = 2; graph.get( `xml$${cid}` ); n++ ) {
+            cid = `${base}-${n}`;
+        }
+
+        return cid;
+    }
 
-        const pxml = `<param name="${qid}" type="integer" set="vector"\n` +
-            `       desc="${esclabel}" />`;
+
+    _genInputMapXml( graph, node, edge_from )
+    {
+        const { qid } = node.data;
+        const mxml    = el( 'pass', { name: qid } );
 
         this._attachXmlNode(
-            graph, edge_from, pxml, 'params', `xml$param$${qid}`
+            graph, edge_from, mxml, 'inmaps', `xml$inmap$${qid}`
         );
 
         return node;
     }
 
 
-    _xmlEncloseAndIndent( matches, parent )
+    _genParamXml( graph, node, edge_from )
     {
-        if ( matches.length > 1 ) {
-            return (
-                `  <${parent}>\n` +
-                matches
-                    .map( m => '  ' + m.replace( /\n/g, '\n  ' ) )
-                    .join( "\n" ) +
-                `</${parent}>\n`
-            );
-        }
+        const { qid, label, qtype } = node.data;
 
-        return matches.join( "\n" );
+        // selects are constrained to their enumerated options
+        const ptype = ( qtype === 'select' )
+            ? this._typedefName( qid )
+            : _ptypes[ qtype ] || 'integer';
+
+        const param = el( 'param', {
+            name: qid,
+            type: ptype,
+            set:  'vector',
+            desc: label,
+        } );
+
+        this._attachXmlNode(
+            graph, edge_from, param, 'params', `xml$param$${qid}`
+        );
+
+        return node;
     }
 }
@@ -0,0 +1,275 @@
+/**
+ * Question map generation
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const LabelText = require( './LabelText' );
+
+// question types that may be given explicitly (see SpecEvaluator)
+const _qtypes = [
+    'text', 'noyes', 'select', 'percent', 'integer', 'currency', 'year', 'date',
+];
+
+// valid TAME identifiers
+const _ident = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+
+/**
+ * Produce question maps (qmaps) with suggested friendly ids
+ *
+ * A question map maps generated question ids (see SpecEvaluator) to
+ * user-friendly ones.  Suggestions are derived from question labels and
+ * are intended to be a starting point for manual editing.
+ *
+ * Each entry is either a friendly id or an object with any of the fields
+ * `id', `label' and `type', which override the id, label and inferred
+ * question type respectively.
+ */
+module.exports = class QuestionMap
+{
+    /**
+     * Question types that may be given explicitly, whether by entries or
+     * by type hints (see SpecParser)
+     *
+     * @return {Array<string>} question types
+     */
+    static get qtypes()
+    {
+        return _qtypes.slice();
+    }
+
+
+    /**
+     * Normalize question map entry into an object
+     *
+     * @param {string|Object|undefined} value entry value
+     * @param {string}                  gid   generated id of entry
+     *
+     * @return {Object} entry with `id' and optional `label' and `type'
+     */
+    static entry( value, gid )
+    {
+        // malformed entries are reported by #validate
+        if ( ( typeof value !== 'object' ) || ( value === null ) ) {
+            return { id: ( typeof value === 'string' ) && value || gid };
+        }
+
+        return {
+            id:    value.id || gid,
+            label: value.label,
+            type:  value.type,
+        };
+    }
+
+
+    /**
+     * Validate question map against evaluated graph
+     *
+     * Diagnostics are produced for keys that match no question
+     * (`unused-key', a warning), and for malformed entries
+     * (`invalid-entry'), ids that are not valid identifiers
+     * (`invalid-identifier'), unknown question types (`invalid-type') and
+     * ids shared by multiple questions (`duplicate-target'), all errors.
+     * Each diagnostic has a `severity', `rule', `message' and the `key'
+     * of the offending entry.
+     *
+     * @param {Object} qmap  question map
+     * @param {Graph}  graph evaluated graph
+     *
+     * @return {Array<Object>} diagnostics
+     */
+    validate( qmap, graph )
+    {
+        const questions = graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'question' );
+
+        const gids = questions.reduce( ( gids, node ) =>
+        {
+            gids[ node.data.gid ] = true;
+            return gids;
+        }, {} );
+
+        const entry_diags = Object.keys( qmap ).reduce( ( diags, key ) =>
+        {
+            const value = qmap[ key ];
+
+            if ( ( value === null ) || Array.isArray( value )
+                || ( [ 'string', 'object' ].indexOf( typeof value ) === -1 )
+            ) {
+                return diags.concat( [ this._diag(
+                    'error', 'invalid-entry',
+                    `Entry must be an id or an object`,
+                    key
+                ) ] );
+            }
+
+            const { id, type } = this.constructor.entry( value, key );
+
+            return diags.concat(
+                ( gids[ key ] ) ? [] : [ this._diag(
+                    'warning', 'unused-key',
+                    `Key does not match any question`,
+                    key
+                ) ],
+                ( _ident.test( id ) ) ? [] : [ this._diag(
+                    'error', 'invalid-identifier',
+                    `'${id}' is not a valid identifier`,
+                    key
+                ) ],
+                ( ( type === undefined ) || ( _qtypes.indexOf( type ) > -1 ) )
+                    ? []
+                    : [ this._diag(
+                        'error', 'invalid-type',
+                        `Unknown question type '${type}'; expected one of ` +
+                            _qtypes.join( ', ' ),
+                        key
+                    ) ]
+            );
+        }, [] );
+
+        const by_qid = questions.reduce( ( by_qid, node ) =>
+        {
+            const { qid, gid } = node.data;
+
+            by_qid[ qid ] = ( by_qid[ qid ] || [] ).concat( [ gid ] );
+            return by_qid;
+        }, {} );
+
+        const dup_diags = Object.keys( by_qid )
+            .filter( qid => by_qid[ qid ].length > 1 )
+            .map( qid => this._diag(
+                'error', 'duplicate-target',
+                `'${qid}' is the id of multiple questions: ` +
+                    by_qid[ qid ].join( ', ' ),
+                by_qid[ qid ].filter( gid => qmap[ gid ] !== undefined )[ 0 ]
+            ) );
+
+        return entry_diags.concat( dup_diags );
+    }
+
+
+    /**
+     * Generate question map for all questions of graph, merging with an
+     * existing map
+     *
+     * Existing entries are retained as-is; entries are added for
+     * questions not yet in the map.  The result contains the merged
+     * `map', the generated ids of `added' entries, the `stale' entries of
+     * the existing map that do not correspond to any question, and
+     * `duplicates': friendly ids that are used by more than one entry,
+     * along with their generated ids.
+     *
+     * @param {Graph}   graph    evaluated graph
+     * @param {Object=} existing existing question map
+     *
+     * @return {Object} merge result
+     */
+    generate( graph, existing )
+    {
+        const qmap = existing || {};
+
+        const gids = graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'question' )
+            .reduce( ( gids, node ) =>
+            {
+                gids[ node.data.gid ] = node.data.label;
+                return gids;
+            }, {} );
+
+        const added = Object.keys( gids )
+            .filter( gid => qmap[ gid ] === undefined );
+
+        const map = added.reduce( ( map, gid ) =>
+        {
+            map[ gid ] = this.suggest( gids[ gid ] ) || gid;
+            return map;
+        }, this._copy( qmap ) );
+
+        return {
+            map:        map,
+            added:      added,
+            stale:      Object.keys( qmap ).filter( gid => !gids[ gid ] ),
+            duplicates: this._duplicates( map ),
+        };
+    }
+
+
+    /**
+     * Suggest friendly id for label
+     *
+     * Filler words are stripped (see LabelText.stripFiller) and the
+     * remainder converted into snake_case.
+     *
+     * @param {string} label question label
+     *
+     * @return {string} suggested id, or the empty string if the label
+     *                  contains no usable characters
+     */
+    suggest( label )
+    {
+        const id = LabelText.stripFiller( label )
+            .toLowerCase()
+            .replace( /[^a-z0-9]+/g, '_' )
+            .replace( /^_+|_+$/g, '' );
+
+        // identifiers may not begin with a digit
+        return ( /^[0-9]/.test( id ) )
+            ? `q_${id}`
+            : id;
+    }
+
+
+    _diag( severity, rule, message, key )
+    {
+        return {
+            severity: severity,
+            rule:     rule,
+            message:  message,
+            key:      key,
+        };
+    }
+
+
+    _duplicates( map )
+    {
+        const by_id = Object.keys( map ).reduce( ( by_id, gid ) =>
+        {
+            const { id } = this.constructor.entry( map[ gid ], gid );
+
+            by_id[ id ] = ( by_id[ id ] || [] ).concat( [ gid ] );
+            return by_id;
+        }, {} );
+
+        return Object.keys( by_id )
+            .filter( id => by_id[ id ].length > 1 )
+            .map( id => ( { id: id, gids: by_id[ id ] } ) );
+    }
+
+
+    _copy( obj )
+    {
+        return Object.keys( obj ).reduce( ( copy, key ) =>
+        {
+            copy[ key ] = obj[ key ];
+            return copy;
+        }, {} );
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Questionnaire outlines
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const QuestionTree = require( './QuestionTree' );
+
+// file extensions of outline formats
+const _extensions = {
+    markdown: 'md',
+    text:     'txt',
+};
+
+
+/**
+ * Produce outlines of the questionnaire of each class
+ *
+ * An outline lists each question applicable to a class in order, with
+ * its options, the action taken for each answer and any follow-up
+ * questions nested beneath the answer that asks them.  Outlines are
+ * written either as Markdown or as indented plain text.
+ *
+ * This is the reverse of parsing: it restates the specification as it
+ * was understood, so that its authors can confirm it.
+ */
+module.exports = class QuestionOutline
+{
+    /**
+     * Initialize outline generator
+     *
+     * @param {QuestionTree=} tree question tree builder
+     */
+    constructor( tree )
+    {
+        this._tree = tree || new QuestionTree();
+    }
+
+
+    /**
+     * File extension of outline format
+     *
+     * @param {string} format outline format
+     *
+     * @throws {Error} if format is unknown
+     *
+     * @return {string} extension, without leading period
+     */
+    extension( format )
+    {
+        this._checkFormat( format );
+
+        return _extensions[ format ];
+    }
+
+
+    /**
+     * Outline of a single class
+     *
+     * @param {Object} ctree  class question tree (see QuestionTree)
+     * @param {string} format outline format
+     *
+     * @throws {Error} if format is unknown
+     *
+     * @return {string} outline
+     */
+    format( ctree, format )
+    {
+        this._checkFormat( format );
+
+        const { code, desc, questions } = ctree;
+
+        const title = ( desc ) ? `Class ${code}: ${desc}` : `Class ${code}`;
+        const items = this._items( questions, 0 );
+        const body  = ( items.length > 0 )
+            ? items
+            : [ { depth: 0, type: 'none', text: "No questions." } ];
+
+        return ( ( format === 'markdown' )
+            ? [ `# ${this._md( title )}`, '' ].concat(
+                body.map( item => this._mdItem( item ) )
+            )
+            : [ title, '='.repeat( title.length ), '' ].concat(
+                body.map( item => this._textItem( item ) )
+            )
+        ).join( "\n" ) + "\n";
+    }
+
+
+    /**
+     * Flatten questions into outline items
+     *
+     * Each item has a `depth', a `type' (`question', `options' or
+     * `answer') and the data needed to render it.
+     */
+    _items( questions, depth )
+    {
+        return questions.map( ( q, i ) =>
+        {
+            const options = ( q.options.length > 0 )
+                ? [ { depth: depth + 1, type: 'options', options: q.options } ]
+                : [];
+
+            const answers = q.answers.map( answer =>
+                [ {
+                    depth:  depth + 1,
+                    type:   'answer',
+                    cond:   ( answer.cond === undefined )
+                        ? "any answer"
+                        : answer.cond,
+                    action: this._tree.actionText( answer ),
+                } ].concat( ( answer.question )
+                    ? this._items( [ answer.question ], depth + 2 )
+                    : []
+                )
+            );
+
+            return [ { depth: depth, type: 'question', n: i + 1, q: q } ]
+                .concat( options, ...answers );
+        } ).reduce( ( items, qitems ) => items.concat( qitems ), [] );
+    }
+
+
+    /**
+     * Render item as Markdown
+     *
+     * Nested lists are indented by four spaces per level, which places
+     * them within the content of both ordered and unordered parents.
+     */
+    _mdItem( item )
+    {
+        const ws = '    '.repeat( item.depth );
+
+        switch ( item.type )
+        {
+            case 'question':
+                return `${ws}${item.n}. ${this._md( item.q.label )} ` +
+                    `(\`${item.q.qid}\`, ${item.q.qtype})`;
+
+            case 'options':
+                return `${ws}- Options: ` +
+                    item.options.map( opt => this._md( opt ) ).join( ', ' );
+
+            case 'answer':
+                return `${ws}- ${this._md( item.cond )}: ` +
+                    this._md( item.action );
+
+            default:
+                return `${ws}${this._md( item.text )}`;
+        }
+    }
+
+
+    _textItem( item )
+    {
+        const ws = '    '.repeat( item.depth );
+
+        switch ( item.type )
+        {
+            case 'question':
+                return `${ws}${item.n}. ${item.q.label} ` +
+                    `[${item.q.qid}: ${item.q.qtype}]`;
+
+            case 'options':
+                return `${ws}Options: ${item.options.join( ', ' )}`;
+
+            case 'answer':
+                return `${ws}${item.cond} -> ${item.action}`;
+
+            default:
+                return `${ws}${item.text}`;
+        }
+    }
+
+
+    /**
+     * Escape text for use in Markdown
+     */
+    _md( str )
+    {
+        return String( str ).replace( /([\\`*_\[\]<>|])/g, '\\$1' );
+    }
+
+
+    _checkFormat( format )
+    {
+        if ( _extensions[ format ] === undefined ) {
+            throw Error(
+                `Unknown outline format: ${format}; expected one of ` +
+                    Object.keys( _extensions ).join( ', ' )
+            );
+        }
+    }
+}
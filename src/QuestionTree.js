@@ -0,0 +1,243 @@
+/**
+ * Question trees of classes
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+/**
+ * Derive the questionnaire seen by each class from an evaluated graph
+ *
+ * A class's questionnaire is the question set of its row, in order, with
+ * each question followed by its answers: the option or condition of each,
+ * the action taken and, for follow-up questions, their own trees.  Only
+ * questions that apply to the class (see SpecEvaluator `class_in') and
+ * conditions whose class predicate, if any, matches the class are
+ * included.
+ *
+ * This is the reverse of parsing, and is used to present specifications
+ * to those that wrote them.
+ */
+module.exports = class QuestionTree
+{
+    /**
+     * Question trees of all classes, in order of definition
+     *
+     * @param {Graph} graph evaluated graph
+     *
+     * @return {Array<Object>} class trees (see #forClass)
+     */
+    fromGraph( graph )
+    {
+        return graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'class' )
+            .map( node => this._classTree( node ) );
+    }
+
+
+    /**
+     * Question tree of a single class
+     *
+     * The tree has the class `code', `desc' and `questions'.  Each
+     * question has its `qid', `gid', `label', `qtype', `options' (the
+     * labels of the options of select questions), the generated `xml'
+     * attached to it and its `answers'.  Each answer has
+     * its `cond', `pred' and `action' along with the `target' node data;
+     * follow-ups also have the `question', unless it is an ancestor of the
+     * answer, in which case `cycle' is set instead.
+     *
+     * @param {Graph}  graph      evaluated graph
+     * @param {string} class_code class code
+     *
+     * @throws {Error} if class does not exist
+     *
+     * @return {Object} class tree
+     */
+    forClass( graph, class_code )
+    {
+        if ( !graph.get( `class$${class_code}` ) ) {
+            throw Error( `Unknown class code '${class_code}'` );
+        }
+
+        return this._classTree( graph.node( `class$${class_code}` ) );
+    }
+
+
+    /**
+     * Short description of the action taken by an answer
+     *
+     * @param {Object} answer answer of question tree
+     *
+     * @return {string} description
+     */
+    actionText( answer )
+    {
+        const { action, target } = answer;
+
+        switch ( action )
+        {
+            case 'question':
+                return ( answer.cycle )
+                    ? `ask ${target.qid} again (cycle)`
+                    : `ask ${target.qid}`;
+
+            case 'assert-class':
+                return `assert class ${target.class}`;
+
+            case 'attach-form':
+                return `attach form ${target.label}`;
+
+            default:
+                return target.label;
+        }
+    }
+
+
+    _classTree( cnode )
+    {
+        const { class: code, desc = '' } = cnode.data;
+
+        return {
+            code:      code,
+            desc:      desc,
+            questions: cnode.edges.out
+                .filter( out => this._applies( out, code ) )
+                .sort( ( a, b ) => this._rowPos( a ) - this._rowPos( b ) )
+                .map( out => this._questionTree( out, code, [] ) ),
+        };
+    }
+
+
+    /**
+     * Position of question within the row of its class
+     *
+     * Questions are otherwise ordered by node id, which reflects the first
+     * row in which each appears (see SpecParser).
+     *
+     * @param {Object} qnode question node (out edge of class)
+     *
+     * @return {number} position
+     */
+    _rowPos( qnode )
+    {
+        return Math.min.apply( null, qnode.reledges.map(
+            edge => ( edge.pos === undefined ) ? Infinity : edge.pos
+        ) );
+    }
+
+
+    _questionTree( qnode, code, path )
+    {
+        const {
+            qid, gid, label, qtype = 'unknown', qopts = {}
+        } = qnode.data;
+
+        const ancestors = path.concat( [ qnode.id ] );
+
+        return {
+            qid:     qid,
+            gid:     gid,
+            label:   label,
+            qtype:   qtype,
+            options: ( qtype === 'select' )
+                ? Object.keys( qopts ).map( opt => qopts[ opt ] )
+                : [],
+            xml:     qnode.edges.out
+                .filter( out => out.data.type === 'xml' )
+                .map( out => out.data.label ),
+            answers: this._answers( qnode, code, ancestors ),
+        };
+    }
+
+
+    /**
+     * Answers of question in order of option
+     *
+     * Explicitly eligible conditions have no edges (see SpecParser), and
+     * so are recorded on the question itself.
+     */
+    _answers( qnode, code, ancestors )
+    {
+        const { qopts = {}, eligible = [] } = qnode.data;
+
+        const matches = edge => !edge.pred || ( edge.pred === code );
+
+        const actions = qnode.edges.out
+            .filter( out => out.data.type !== 'xml' )
+            .map( out => out.reledges
+                .filter( matches )
+                .filter( edge => ( out.data.type !== 'question' )
+                    || this._applies( out, code )
+                )
+                .map( edge => this._answer( edge, out, code, ancestors ) )
+            )
+            .reduce( ( answers, outs ) => answers.concat( outs ), [] );
+
+        const eligibles = eligible.filter( matches ).map( edge => ( {
+            cond:   edge.cond,
+            pred:   edge.pred,
+            action: 'eligible',
+            target: { type: 'eligible', label: 'eligible' },
+        } ) );
+
+        const order = Object.keys( qopts );
+        const pos   = answer => order.indexOf(
+            String( answer.cond ).toLowerCase()
+        );
+
+        return actions.concat( eligibles )
+            .sort( ( a, b ) => pos( a ) - pos( b ) );
+    }
+
+
+    _answer( edge, out, code, ancestors )
+    {
+        const answer = {
+            cond:   edge.cond,
+            pred:   edge.pred,
+            action: edge.action || out.data.type,
+            target: out.data,
+        };
+
+        if ( out.data.type !== 'question' ) {
+            return answer;
+        }
+
+        if ( ancestors.indexOf( out.id ) > -1 ) {
+            answer.cycle = true;
+        }
+        else {
+            answer.question = this._questionTree( out, code, ancestors );
+        }
+
+        return answer;
+    }
+
+
+    /**
+     * Whether node is a question applicable to class
+     */
+    _applies( node, code )
+    {
+        const { type, class_in = {} } = node.data;
+
+        return ( type === 'question' ) && ( class_in[ code ] !== undefined );
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Specification source locations
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+/**
+ * Formatting of source locations for diagnostics
+ *
+ * A location is a plain object (so that it survives being copied along
+ * with tokens and graph data) with the fields `row' (spreadsheet row,
+ * accounting for the header), `column' (source column name), `line'
+ * (line within that cell), `class_code' and `text' (the source line
+ * itself); any of them may be missing.
+ */
+module.exports = class SourceLocation
+{
+    /**
+     * Human-readable description of location
+     *
+     * @param {Object} loc source location
+     *
+     * @return {string} description, e.g. "row 12, Question Set line 3
+     *                  (class 12345)"
+     */
+    static describe( loc )
+    {
+        if ( !loc ) {
+            return "unknown location";
+        }
+
+        const parts = [];
+
+        if ( loc.row !== undefined ) {
+            parts.push( `row ${loc.row}` );
+        }
+        if ( loc.column !== undefined ) {
+            parts.push( `${loc.column} line ${loc.line}` );
+        }
+
+        const cstr = ( loc.class_code !== undefined )
+            ? ` (class ${loc.class_code})`
+            : '';
+
+        return parts.join( ', ' ) + cstr;
+    }
+
+
+    /**
+     * Source line with a caret beneath the given offset
+     *
+     * @param {Object} loc    source location
+     * @param {number} offset offset within line to point to
+     *
+     * @return {string} snippet, or the empty string if the location has
+     *                  no source text
+     */
+    static snippet( loc, offset )
+    {
+        if ( !loc || !loc.text ) {
+            return "";
+        }
+
+        const pos = Math.min( offset || 0, loc.text.length );
+
+        return `    ${loc.text}\n    ${' '.repeat( pos )}^`;
+    }
+
+
+    /**
+     * Format diagnostic message for location
+     *
+     * @param {string} message diagnostic message
+     * @param {Object} loc     source location
+     * @param {number} offset  offset within line to point to
+     *
+     * @return {string} formatted diagnostic
+     */
+    static format( message, loc, offset )
+    {
+        const snippet = this.snippet( loc, offset );
+
+        return `${this.describe( loc )}: ${message}` +
+            ( ( snippet ) ? "\n" + snippet : "" );
+    }
+}
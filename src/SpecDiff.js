@@ -0,0 +1,564 @@
+/**
+ * Differences between two versions of a specification
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const LabelText = require( './LabelText' );
+
+// node types that are not actions of conditions
+const _nonactions = [ 'classes', 'class', 'question', 'xml', 'error' ];
+
+
+/**
+ * Compare evaluated graphs of two specification revisions
+ *
+ * Questions are identified by qid.  Since qids are generated from labels,
+ * a question whose label changed only superficially (see
+ * LabelText.normalize) would otherwise appear to have been removed and
+ * re-added; such questions are instead paired and reported as label
+ * changes, and the new qid is used in place of the old throughout.
+ *
+ * Generated XML nodes (see NodeXmlGenerator) are ignored.
+ */
+module.exports = class SpecDiff
+{
+    /**
+     * Produce report of differences from `old_graph' to `new_graph'
+     *
+     * The report contains added and removed `classes', `questions' and
+     * condition `actions'; changed class `descriptions'; changed question
+     * `labels' and `qtypes'; added
+     * and removed `conditions' of questions common to both; and class
+     * `assertions' whose asserting conditions changed.
+     *
+     * @param {Graph} old_graph evaluated graph of previous revision
+     * @param {Graph} new_graph evaluated graph of new revision
+     *
+     * @return {Object} diff report
+     */
+    diff( old_graph, new_graph )
+    {
+        const old_qs  = this._questions( old_graph );
+        const new_qs  = this._questions( new_graph );
+        const renamed = this._pairRenamed( old_qs, new_qs );
+
+        // qid of old question in terms of the new graph
+        const qidOf = qid => renamed[ qid ] || qid;
+
+        const common = Object.keys( old_qs )
+            .filter( qid => new_qs[ qidOf( qid ) ] !== undefined );
+
+        const added_qs = Object.keys( new_qs ).sort().filter(
+            qid => !common.some( old_qid => qidOf( old_qid ) === qid )
+        );
+        const removed_qs = Object.keys( old_qs ).sort().filter(
+            qid => common.indexOf( qid ) === -1
+        );
+
+        const old_classes = this._classes( old_graph );
+        const new_classes = this._classes( new_graph );
+
+        return {
+            classes: this._setDiff( old_classes, new_classes ),
+
+            descriptions: Object.keys( old_classes )
+                .filter( code => ( new_classes[ code ] !== undefined )
+                    && ( old_classes[ code ].desc !== new_classes[ code ].desc )
+                )
+                .sort()
+                .map( code => ( {
+                    'class': code,
+                    old:     old_classes[ code ].desc,
+                    'new':   new_classes[ code ].desc,
+                } ) ),
+
+            questions: {
+                added:   added_qs.map( qid => this._qsummary( new_qs[ qid ] ) ),
+                removed: removed_qs.map( qid => this._qsummary( old_qs[ qid ] ) ),
+            },
+
+            labels: common
+                .filter( qid =>
+                    old_qs[ qid ].data.label !== new_qs[ qidOf( qid ) ].data.label
+                )
+                .map( qid => ( {
+                    qid:     qidOf( qid ),
+                    old_qid: qid,
+                    old:     old_qs[ qid ].data.label,
+                    'new':   new_qs[ qidOf( qid ) ].data.label,
+                } ) ),
+
+            qtypes: common
+                .filter( qid =>
+                    old_qs[ qid ].data.qtype !== new_qs[ qidOf( qid ) ].data.qtype
+                )
+                .map( qid => ( {
+                    qid:   qidOf( qid ),
+                    old:   old_qs[ qid ].data.qtype,
+                    'new': new_qs[ qidOf( qid ) ].data.qtype,
+                } ) ),
+
+            conditions: common.reduce( ( conds, qid ) =>
+            {
+                const cdiff = this._setDiff(
+                    this._conditions( old_qs[ qid ], qidOf ),
+                    this._conditions( new_qs[ qidOf( qid ) ], qidOf )
+                );
+
+                return {
+                    added:   conds.added.concat( cdiff.added ),
+                    removed: conds.removed.concat( cdiff.removed ),
+                };
+            }, { added: [], removed: [] } ),
+
+            actions: this._setDiff(
+                this._actions( old_graph ),
+                this._actions( new_graph )
+            ),
+
+            assertions: this._assertionDiff(
+                this._assertions( old_graph, qidOf ),
+                this._assertions( new_graph, qidOf )
+            ),
+        };
+    }
+
+
+    /**
+     * Format report as human-readable text
+     *
+     * Additions are prefixed with `+', removals with `-' and changes
+     * with `~'.
+     *
+     * @param {Object} report diff report (see #diff)
+     *
+     * @return {string} formatted report
+     */
+    format( report )
+    {
+        const when = c =>
+            `${c.qid} if ${c.cond}` +
+            ( ( c[ 'class' ] ) ? ` (class ${c[ 'class' ]})` : '' );
+
+        // the targets of other actions are their values (e.g. "surcharge
+        // 10%"), which already describe them
+        const cond = c => when( c ) + ': ' + (
+            ( ( c.action === 'question' ) || ( c.action === 'assert-class' ) )
+                ? `${c.action} ${c.target}`
+                : ( c.target || c.action )
+        );
+
+        const sources = srcs => ( srcs.length )
+            ? srcs.map( when ).join( '; ' )
+            : 'nothing';
+
+        const sections = [
+            [ "Classes", [].concat(
+                report.classes.added.map( c => `+ ${c[ 'class' ]} ${c.desc}` ),
+                report.classes.removed.map( c => `- ${c[ 'class' ]} ${c.desc}` ),
+                report.descriptions.map( d =>
+                    `~ ${d[ 'class' ]} description "${d.old}" -> "${d[ 'new' ]}"`
+                )
+            ) ],
+            [ "Questions", [].concat(
+                report.questions.added.map( q =>
+                    `+ ${q.qid} "${q.label}" (classes ${q.classes.join( ', ' )})`
+                ),
+                report.questions.removed.map( q =>
+                    `- ${q.qid} "${q.label}" (classes ${q.classes.join( ', ' )})`
+                ),
+                report.labels.map( l =>
+                    `~ ${l.qid} label "${l.old}" -> "${l[ 'new' ]}"` +
+                        ( ( l.old_qid !== l.qid ) ? ` (was ${l.old_qid})` : '' )
+                ),
+                report.qtypes.map( t =>
+                    `~ ${t.qid} type ${t.old} -> ${t[ 'new' ]}`
+                )
+            ) ],
+            [ "Conditions", [].concat(
+                report.conditions.added.map( c => `+ ${cond( c )}` ),
+                report.conditions.removed.map( c => `- ${cond( c )}` )
+            ) ],
+            [ "Actions", [].concat(
+                report.actions.added.map( a => `+ ${a.value || a.type}` ),
+                report.actions.removed.map( a => `- ${a.value || a.type}` )
+            ) ],
+            [ "Class assertions", report.assertions.map( a =>
+                `~ ${a[ 'class' ]} asserted by ${sources( a.old )}` +
+                    `\n    now ${sources( a[ 'new' ] )}`
+            ) ],
+        ];
+
+        const text = sections
+            .filter( ( [ , lines ] ) => lines.length > 0 )
+            .map( ( [ title, lines ] ) =>
+                `${title}:\n` + lines.map( line => `  ${line}` ).join( "\n" )
+            )
+            .join( "\n\n" );
+
+        return text || "No differences.";
+    }
+
+
+    /**
+     * Merge removed elements of `old_graph' into `new_graph' and mark
+     * each node and edge that differs
+     *
+     * Nodes and edges are compared by index; the `diff' field of their
+     * data is set to either `added' or `removed' (see GraphToDot).
+     *
+     * @param {Graph} old_graph evaluated graph of previous revision
+     * @param {Graph} new_graph evaluated graph of new revision
+     *
+     * @return {Graph} `new_graph'
+     */
+    mark( old_graph, new_graph )
+    {
+        const old_edges = this._edgeKeys( old_graph );
+        const new_edges = this._edgeKeys( new_graph );
+
+        new_graph.mapNodes( node =>
+        {
+            if ( this._isComparable( node ) && !old_graph.get( node.index ) ) {
+                node.data.diff = 'added';
+            }
+        } );
+
+        Object.keys( new_edges )
+            .filter( key => old_edges[ key ] === undefined )
+            .forEach( key => new_edges[ key ].edge.diff = 'added' );
+
+        old_graph.mapNodes( node =>
+        {
+            if ( this._isComparable( node ) && !new_graph.get( node.index ) ) {
+                new_graph.addNode(
+                    this._copyData( node.data, 'removed' ),
+                    node.index
+                );
+            }
+        } );
+
+        Object.keys( old_edges )
+            .filter( key => new_edges[ key ] === undefined )
+            .forEach( key =>
+            {
+                const { from, to, edge } = old_edges[ key ];
+
+                new_graph.addEdge( from, to, this._copyData( edge, 'removed' ) );
+            } );
+
+        return new_graph;
+    }
+
+
+    _isComparable( node )
+    {
+        return ( node.index !== undefined ) && ( node.data.type !== 'xml' );
+    }
+
+
+    /**
+     * Edges of graph between comparable nodes, keyed by their endpoints
+     * and condition
+     */
+    _edgeKeys( graph )
+    {
+        return graph.mapNodes( node => node ).reduce( ( keys, node ) =>
+        {
+            if ( !this._isComparable( node ) ) {
+                return keys;
+            }
+
+            node.edges.out
+                .filter( enode => this._isComparable( enode ) )
+                .forEach( enode => enode.reledges.forEach( edge =>
+                {
+                    const key = JSON.stringify( [
+                        node.index,
+                        enode.index,
+                        edge.type,
+                        edge.cond,
+                        edge.pred,
+                        edge.action,
+                    ] );
+
+                    keys[ key ] = {
+                        from: node.index,
+                        to:   enode.index,
+                        edge: edge,
+                    };
+                } ) );
+
+            return keys;
+        }, {} );
+    }
+
+
+    /**
+     * Copy of node or edge data (including inherited edge data) with the
+     * given diff mark
+     */
+    _copyData( data, mark )
+    {
+        const copy = {};
+
+        for ( let key in data ) {
+            copy[ key ] = data[ key ];
+        }
+
+        copy.diff = mark;
+
+        return copy;
+    }
+
+
+    /**
+     * Question nodes indexed by qid
+     */
+    _questions( graph )
+    {
+        return graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'question' )
+            .reduce( ( qs, node ) =>
+            {
+                qs[ node.data.qid ] = node;
+                return qs;
+            }, {} );
+    }
+
+
+    /**
+     * Pair removed questions with added questions having the same
+     * normalized label
+     *
+     * @return {Object} new qids indexed by old qid
+     */
+    _pairRenamed( old_qs, new_qs )
+    {
+        const added = Object.keys( new_qs )
+            .filter( qid => old_qs[ qid ] === undefined )
+            .reduce( ( added, qid ) =>
+            {
+                added[ LabelText.normalize( new_qs[ qid ].data.label ) ] = qid;
+                return added;
+            }, {} );
+
+        return Object.keys( old_qs )
+            .filter( qid => new_qs[ qid ] === undefined )
+            .reduce( ( renamed, qid ) =>
+            {
+                const key = LabelText.normalize( old_qs[ qid ].data.label );
+
+                if ( added[ key ] !== undefined ) {
+                    renamed[ qid ] = added[ key ];
+                }
+
+                return renamed;
+            }, {} );
+    }
+
+
+    _qsummary( node )
+    {
+        return {
+            qid:     node.data.qid,
+            label:   node.data.label,
+            qtype:   node.data.qtype,
+            classes: Object.keys( node.data.class_in || {} ).sort(),
+        };
+    }
+
+
+    _classes( graph )
+    {
+        return graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'class' )
+            .reduce( ( classes, node ) =>
+            {
+                classes[ node.data.class ] = {
+                    'class': node.data.class,
+                    desc:    node.data.desc || '',
+                };
+
+                return classes;
+            }, {} );
+    }
+
+
+    /**
+     * Conditions of question, including explicitly eligible options,
+     * keyed for comparison
+     *
+     * @param {Object}   node  question node
+     * @param {Function} qidOf qid translation for old questions
+     *
+     * @return {Object} conditions indexed by key
+     */
+    _conditions( node, qidOf )
+    {
+        const qid = qidOf( node.data.qid );
+
+        const conds = node.edges.out.reduce( ( conds, enode ) => conds.concat(
+            enode.reledges
+                .filter( edge => edge.type === 'cond' )
+                .map( edge => ( {
+                    qid:     qid,
+                    cond:    edge.cond,
+                    'class': edge.pred || null,
+                    action:  edge.action,
+                    target:  this._target( enode, qidOf ),
+                } ) )
+        ), [] );
+
+        const eligible = ( node.data.eligible || [] ).map( elig => ( {
+            qid:     qid,
+            cond:    elig.cond,
+            'class': elig.pred || null,
+            action:  'eligible',
+            target:  null,
+        } ) );
+
+        return conds.concat( eligible ).reduce( ( keyed, cond ) =>
+        {
+            keyed[ JSON.stringify( [
+                cond.cond.toLowerCase(),
+                cond[ 'class' ],
+                cond.action,
+                cond.target,
+            ] ) ] = cond;
+
+            return keyed;
+        }, {} );
+    }
+
+
+    /**
+     * Description of condition action node that is stable across
+     * revisions
+     */
+    _target( enode, qidOf )
+    {
+        switch ( enode.type )
+        {
+            case 'question':
+                return qidOf( enode.data.qid );
+
+            case 'class':
+                return enode.data.class;
+        }
+
+        return ( enode.data.value === undefined )
+            ? null
+            : String( enode.data.value );
+    }
+
+
+    _actions( graph )
+    {
+        return graph.mapNodes( node => node )
+            .filter( node => _nonactions.indexOf( node.data.type ) === -1 )
+            .reduce( ( actions, node ) =>
+            {
+                actions[ node.index ] = {
+                    type:  node.data.type,
+                    value: node.data.value,
+                };
+
+                return actions;
+            }, {} );
+    }
+
+
+    /**
+     * Conditions asserting each class
+     *
+     * @return {Object} condition lists indexed by class code
+     */
+    _assertions( graph, qidOf )
+    {
+        return graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'class' )
+            .reduce( ( asserts, node ) =>
+            {
+                const srcs = node.edges.in
+                    .filter( enode => enode.type === 'question' )
+                    .reduce( ( srcs, enode ) => srcs.concat(
+                        enode.reledges
+                            .filter( edge => edge.type === 'cond' )
+                            .map( edge => ( {
+                                qid:     qidOf( enode.data.qid ),
+                                cond:    edge.cond,
+                                'class': edge.pred || null,
+                            } ) )
+                    ), [] );
+
+                if ( srcs.length > 0 ) {
+                    asserts[ node.data.class ] = srcs;
+                }
+
+                return asserts;
+            }, {} );
+    }
+
+
+    _assertionDiff( old_asserts, new_asserts )
+    {
+        const key  = src => JSON.stringify(
+            [ src.qid, src.cond.toLowerCase(), src[ 'class' ] ]
+        );
+        const keys = srcs => srcs.map( key ).sort().join( "\n" );
+
+        return Object.keys( old_asserts )
+            .concat( Object.keys( new_asserts ) )
+            .filter( ( code, i, codes ) => codes.indexOf( code ) === i )
+            .sort()
+            .filter( code =>
+                keys( old_asserts[ code ] || [] ) !== keys( new_asserts[ code ] || [] )
+            )
+            .map( code => ( {
+                'class': code,
+                old:     old_asserts[ code ] || [],
+                'new':   new_asserts[ code ] || [],
+            } ) );
+    }
+
+
+    /**
+     * Entries of `new_set' not in `old_set' and vice versa
+     *
+     * @param {Object} old_set entries indexed by key
+     * @param {Object} new_set entries indexed by key
+     *
+     * @return {Object} `added' and `removed' entries, ordered by key
+     */
+    _setDiff( old_set, new_set )
+    {
+        return {
+            added: Object.keys( new_set ).sort()
+                .filter( key => old_set[ key ] === undefined )
+                .map( key => new_set[ key ] ),
+
+            removed: Object.keys( old_set ).sort()
+                .filter( key => new_set[ key ] === undefined )
+                .map( key => old_set[ key ] ),
+        };
+    }
+}
@@ -21,7 +21,16 @@
 
 'use strict';
 
-const crypto = require( 'crypto' );
+const crypto      = require( 'crypto' );
+const QuestionMap = require( './QuestionMap' );
+
+// edges between questions (see Graph#stronglyConnected)
+const _questionEdge = ( edge, from, to ) =>
+    ( from.type === 'question' ) && ( to.type === 'question' );
+
+// range of numbers considered to be years in comparisons
+const _year_min = 1800;
+const _year_max = 2100;
 
 
 /**
@@ -33,10 +42,26 @@ const crypto = require( 'crypto' );
  */
 module.exports = class SpecEvaluator
 {
-    constructor( log, id_map )
+    /**
+     * Initialize evaluator
+     *
+     * Options are `registry', an IdRegistry of previously assigned
+     * question ids, and `collisions', which determines whether generated
+     * question ids that collide are an `error' or are lengthened until
+     * unique (`lengthen', the default).
+     *
+     * @param {Function} log     logger
+     * @param {Object}   id_map  question id map (qmap)
+     * @param {Object=}  options evaluation options
+     */
+    constructor( log, id_map, options )
     {
-        this._log   = log;
-        this._idMap = id_map;
+        const opts = options || {};
+
+        this._log        = log;
+        this._idMap      = id_map;
+        this._registry   = opts.registry;
+        this._collisions = opts.collisions || 'lengthen';
     }
 
 
@@ -45,22 +70,27 @@ module.exports = class SpecEvaluator
     {
         return new Promise( resolve =>
         {
+            const cycles = this._findCycles( graph );
+
+            this._calcClassIns( graph );
+
             graph.mapNodes( node =>
             {
                 this._ensureLabel( node );
 
                 if ( node.data.type === 'question' ) {
-                    return this._idQuestion(
-                        this._evalQuestionConds(
-                            this._collapseConds(
-                                graph,
-                                this._calcClassIns( node )
-                            )
-                        )
+                    return this._evalQuestionConds(
+                        this._collapseConds( graph, node )
                     );
                 }
             } );
 
+            // ids depend on all labels, since they must be unique
+            this._idQuestions( graph );
+
+            // reported only now so that they can be described by qid
+            this._logCycles( graph, cycles );
+
             resolve( graph );
         } );
     }
@@ -81,61 +111,387 @@ module.exports = class SpecEvaluator
     }
 
 
-    _idQuestion( node )
+    /**
+     * Assign ids to all questions
+     *
+     * Ids registered for a label (or a similar label) are reused;
+     * otherwise, they are generated from the label.  The generated id is
+     * retained as `gid', and the question id `qid' is the result of
+     * mapping it through the id map, which may also override the label and
+     * question type (see QuestionMap).
+     */
+    _idQuestions( graph )
     {
-        const id = 'q_' + crypto.createHash( 'sha256' )
-            .update( node.data.label )
+        const qnodes = graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'question' );
+
+        const labels = qnodes
+            .map( node => node.data.label )
+            .filter( ( label, i, labels ) => labels.indexOf( label ) === i );
+
+        const registered = ( this._registry )
+            ? this._registry.resolve( labels )
+            : {};
+
+        const taken = ( this._registry ) ? this._registry.taken() : {};
+
+        const ids = this._generateIds(
+            labels.filter( label => registered[ label ] === undefined ),
+            taken,
+            5,
+            registered
+        );
+
+        if ( this._registry ) {
+            this._logRegistry( ids );
+        }
+
+        qnodes.forEach( node =>
+        {
+            const id    = ids[ node.data.label ];
+            const entry = QuestionMap.entry( this._idMap[ id ], id );
+
+            node.data.gid = id;
+            node.data.qid = entry.id;
+
+            // labels are overridden only after all ids have been
+            // generated, since ids are derived from the original labels
+            if ( entry.label !== undefined ) {
+                node.data.label = entry.label;
+            }
+            if ( entry.type !== undefined ) {
+                node.data.qtype = entry.type;
+            }
+        } );
+    }
+
+
+    /**
+     * Generate unique ids for labels from the hash of each
+     *
+     * Ids are prefixes of the hash of length `len'.  Labels whose ids
+     * would collide with one-another or with `taken' ids are either an
+     * error or are lengthened together until they are unique, depending
+     * on the collision option; the result therefore does not depend on
+     * the order of labels.
+     *
+     * @param {Array<string>} labels labels to generate ids for
+     * @param {Object}        taken  ids that may not be generated
+     * @param {number}        len    length of hash prefix
+     * @param {Object}        ids    ids indexed by label thus far
+     *
+     * @return {Object} ids indexed by label
+     */
+    _generateIds( labels, taken, len, ids )
+    {
+        if ( labels.length === 0 ) {
+            return ids;
+        }
+
+        const idOf = label => 'q_' + crypto.createHash( 'sha256' )
+            .update( label )
             .digest( 'hex' )
-            .substr( 0, 5 );
+            .substr( 0, len );
 
-        node.data.qid = this._idMap[ id ] || id;
+        const counts = labels.reduce( ( counts, label ) =>
+        {
+            const id = idOf( label );
 
-        return node;
+            counts[ id ] = ( counts[ id ] || 0 ) + 1;
+            return counts;
+        }, {} );
+
+        const colliding = labels.filter( label =>
+            ( counts[ idOf( label ) ] > 1 )
+            || ( taken[ idOf( label ) ] !== undefined )
+        );
+
+        labels
+            .filter( label => colliding.indexOf( label ) === -1 )
+            .forEach( label => ids[ label ] = idOf( label ) );
+
+        if ( ( colliding.length > 0 ) && ( this._collisions === 'error' ) ) {
+            throw Error(
+                "Question id collision:\n" + colliding.map( label =>
+                    `  ${idOf( label )}: ${label}` +
+                        ( ( taken[ idOf( label ) ] !== undefined )
+                            ? ` (registered to '${taken[ idOf( label ) ]}')`
+                            : '' )
+                ).join( "\n" )
+            );
+        }
+
+        // the full hash is 64 characters, which will not collide
+        return this._generateIds( colliding, taken, len + 1, ids );
+    }
+
+
+    /**
+     * Log changes to registered ids and update registry
+     */
+    _logRegistry( ids )
+    {
+        Object.keys( ids )
+            .filter( label => this._registry.labelOf( ids[ label ] ) !== undefined )
+            .filter( label => this._registry.labelOf( ids[ label ] ) !== label )
+            .forEach( label => this._log(
+                `Question id ${ids[ label ]} retained for '${label}' ` +
+                    `(was '${this._registry.labelOf( ids[ label ] )}')`
+            ) );
+
+        this._registry.update( ids ).forEach( ( { id, label } ) =>
+            this._log( `Question id ${id} retired ('${label}')` )
+        );
     }
 
 
     /**
-     * Calculate class inputs for a given node `node`
+     * Calculate class inputs of all questions
      *
-     * Will recurse on parent question nodes if they have not already been
-     * calculated.
+     * The class inputs of a question are the class codes with edges to
+     * it along with the class inputs of all of its parent questions
+     * (allowing us to collapse edges regardless of path depth by
+     * considering the union of all parent questions' class inputs).
+     *
+     * Questions are processed by strongly connected component in
+     * topological order so that parents are always calculated before
+     * their children.  Questions within a cycle are ancestors of
+     * one-another, and so share the same class inputs.
+     *
+     * @param {Graph} graph graph to evaluate
+     *
+     * @return {undefined}
      */
-    _calcClassIns( node )
+    _calcClassIns( graph )
     {
-        // list of all class codes that have edges to us
-        const class_in = node.edges.in
-            .filter( enode => enode.type === 'class' )
-            .reduce( ( o, enode ) =>
-            {
-                o[ enode.data.class ] = enode.data.class;
-                return o;
-            }, {} );
-
-        // and any class_ins of any parent questions (allows us to collapse
-        // edges regardless of path depth by considering the union of all
-        // parent questions' class inputs)
-        const all_in = node.edges.in
-            .filter( enode => enode.type === 'question' )
-            .reduce( ( class_in, enode ) =>
+        const sccs = graph.stronglyConnected( _questionEdge ).reverse();
+
+        sccs
+            .map( scc => scc.map( id => graph.node( id ) ) )
+            .filter( nodes => nodes[ 0 ].data.type === 'question' )
+            .forEach( nodes =>
             {
-                // ensure parent class_ins have been calculated (they almost
-                // certainly will be, depending on that is a good way to
-                // introduce subtle bugs for now-unaccounted-for situations)
-                if ( !enode.data.class_in ) {
-                    this._calcClassIns( enode )
-                }
+                const ids = nodes.map( node => +node.id );
+
+                const class_in = nodes.reduce(
+                    ( class_in, node ) => node.edges.in.reduce(
+                        ( class_in, enode ) =>
+                        {
+                            if ( enode.type === 'class' ) {
+                                class_in[ enode.data.class ] = enode.data.class;
+                            }
+
+                            // parents within the component contribute
+                            // nothing that the component does not already
+                            if ( ( enode.type === 'question' )
+                                && ( ids.indexOf( +enode.id ) === -1 )
+                            ) {
+                                Object.keys( enode.data.class_in ).forEach(
+                                    cin => class_in[ cin ] = cin
+                                );
+                            }
+
+                            return class_in;
+                        },
+                        class_in
+                    ),
+                    {}
+                );
+
+                nodes.forEach( node => node.data.class_in = Object.keys(
+                    class_in
+                ).reduce( ( copy, cin ) =>
+                {
+                    copy[ cin ] = class_in[ cin ];
+                    return copy;
+                }, {} ) );
+            } );
+    }
 
-                const enode_cin = enode.data.class_in;
 
-                Object.keys( enode_cin )
-                    .forEach( cin => class_in[ cin ] = cin );
+    /**
+     * Find cycles among questions and among class assertions
+     *
+     * Question cycles arise when a question is (through shared labels) its
+     * own ancestor.  Class assertion cycles arise when a question of a
+     * class asserts another class whose questions (perhaps through further
+     * assertions) assert the first.  Both are likely to be mistakes in the
+     * specification.
+     *
+     * Only one class applies at a time, so a question cycle is found only
+     * if every edge along it is of the same class; edges of different
+     * classes merely share questions.  Likewise, a class takes part in an
+     * assertion cycle only through assertions of its own questions (see
+     * #_findAssertCycles).  The conditions along a cycle are otherwise not
+     * checked, so cycles are only possible.
+     *
+     * @param {Graph} graph graph to search
+     *
+     * @return {Object} node ids of `questions' and `classes' cycles
+     */
+    _findCycles( graph )
+    {
+        const qcycles = this._questionPreds( graph ).reduce(
+            ( cycles, pred ) => cycles.concat(
+                graph.cycles( ( edge, from, to ) =>
+                    _questionEdge( edge, from, to ) && ( edge.pred === pred )
+                )
+            ),
+            []
+        );
 
-                return class_in;
-            }, class_in );
+        // a cycle of edges that apply to several classes is found for each
+        const keys = qcycles.map(
+            ids => ids.slice().sort( ( a, b ) => a - b ).join( ',' )
+        );
 
-        node.data.class_in = all_in;
+        return {
+            questions: qcycles.filter(
+                ( _, i ) => keys.indexOf( keys[ i ] ) === i
+            ),
+            classes:   this._findAssertCycles( graph ),
+        };
+    }
 
-        return node;
+
+    /**
+     * Find cycles among class assertions
+     *
+     * Each class asserts the classes reachable from it through its own
+     * question set, following only edges whose predicate, if any, is that
+     * class.  The cycles of those assertions are cycles among classes;
+     * each is given along with the questions making its assertions.
+     *
+     * @param {Graph} graph graph to search
+     *
+     * @return {Array<Array<number>>} node ids of each cycle
+     */
+    _findAssertCycles( graph )
+    {
+        const classes = graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'class' );
+
+        // one node per class, with an edge for each class it asserts
+        const cgraph = new graph.constructor();
+
+        const cids = classes.reduce( ( cids, cnode ) =>
+        {
+            cids[ cnode.id ] = cgraph.addNode( { id: cnode.id } );
+            return cids;
+        }, {} );
+
+        classes.forEach( cnode => this._classAssertions( graph, cnode )
+            .forEach( assertion => cgraph.addEdge(
+                cids[ cnode.id ], cids[ assertion.to ], assertion
+            ) )
+        );
+
+        return cgraph.cycles().map( ids =>
+        {
+            const members = ids.map( id => cgraph.get( id ).id );
+
+            const questions = cgraph.mapNodes( node => node )
+                .filter( node => ids.indexOf( node.id ) > -1 )
+                .reduce( ( questions, node ) => node.edges.out
+                    .filter( enode => ids.indexOf( +enode.id ) > -1 )
+                    .reduce( ( questions, enode ) => questions.concat(
+                        enode.reledges.map( edge => edge.question )
+                    ), questions ),
+                [] );
+
+            return members.concat(
+                questions.filter( ( id, i ) => questions.indexOf( id ) === i )
+            );
+        } );
+    }
+
+
+    /**
+     * Classes asserted by the question set of a class
+     *
+     * @param {Graph}  graph graph to search
+     * @param {Object} cnode class node
+     *
+     * @return {Array<Object>} asserted class node id (`to') and the node
+     *                         id of the question asserting it (`question')
+     */
+    _classAssertions( graph, cnode )
+    {
+        const code    = cnode.data.class;
+        const applies = edge =>
+            ( edge.pred === undefined ) || ( edge.pred === code );
+
+        const questions = graph.reachableFrom(
+            cnode.id,
+            ( edge, from, to ) =>
+                ( ( from === cnode.data ) || ( from.type !== 'class' ) )
+                    && ( to.type === 'question' )
+                    && applies( edge )
+        ).filter( id => id !== cnode.id );
+
+        return questions.reduce( ( assertions, q ) => assertions.concat(
+            graph.getEdgeNodesOfType( 'class', graph.node( q ).edges.out )
+                .filter( enode => enode.reledges.some( applies ) )
+                .map( enode => ( { to: +enode.id, question: q } ) )
+        ), [] );
+    }
+
+
+    /**
+     * Unique class predicates of edges between questions
+     *
+     * @param {Graph} graph graph to search
+     *
+     * @return {Array<string>} predicates
+     */
+    _questionPreds( graph )
+    {
+        const preds = graph.mapNodes( node => node )
+            .filter( node => node.data.type === 'question' )
+            .reduce( ( preds, node ) => preds.concat(
+                graph.getEdgeNodesOfType( 'question', node.edges.out )
+                    .reduce( ( preds, enode ) => preds.concat(
+                        enode.reledges.map( edge => edge.pred )
+                    ), [] )
+            ), [] );
+
+        return preds.filter( ( pred, i ) => preds.indexOf( pred ) === i );
+    }
+
+
+    _logCycles( graph, cycles )
+    {
+        const describe = ids =>
+        {
+            const nodes = ids.map( id => graph.get( id ) );
+
+            const questions = nodes
+                .filter( data => data.type === 'question' )
+                .map( data => `${data.qid} ('${data.label}')` );
+
+            const classes = nodes
+                .filter( data => data.type === 'class' )
+                .map( data => data.class );
+
+            // classes of a question cycle are those from which it is
+            // reachable
+            const class_in = ( classes.length > 0 )
+                ? classes
+                : Object.keys( nodes[ 0 ].class_in || {} );
+
+            return `${questions.join( ', ' )}` +
+                ( ( class_in.length > 0 )
+                    ? ` (classes ${class_in.join( ', ' )})`
+                    : '' );
+        };
+
+        cycles.questions.forEach( ids => this._log(
+            `Possible question cycle among ${describe( ids )}`
+        ) );
+
+        cycles.classes.forEach( ids => this._log(
+            `Possible class assertion cycle among ${describe( ids )}`
+        ) );
     }
 
 
@@ -233,43 +589,69 @@ module.exports = class SpecEvaluator
         return {
             type:   edge.type,
             cond:   edge.cond,
+            cmp:    edge.cmp,
             action: edge.action,
             pred:   edge.pred,
+            loc:    edge.loc,
         };
     }
 
 
     _evalQuestionConds( node )
     {
-        // the domain is defined by the predicates of its actions
+        // the domain is defined by the predicates of its actions, including
+        // those that are explicitly eligible (which have no edges)
         const conds = node.edges.out.reduce(
             ( edges, out ) => edges.concat(
                 out.reledges.filter( edge => edge.type === 'cond' )
             ),
             []
-        );
+        ).concat( node.data.eligible || [] );
+
+        // options listed explicitly by a type hint (see SpecParser) come
+        // first, in the order given
+        const { hint } = node.data;
+        const hopts    = ( hint && hint.opts ) || [];
 
-        // get a unique set of options based on predicates
-        const opts = conds.reduce(
-            ( opts, edge ) =>
+        // get a unique set of options based on predicates, retaining the
+        // text of the first occurrence of each for display
+        const opts = hopts.concat( conds.map( edge => edge.cond ) ).reduce(
+            ( opts, text ) =>
             {
-                const cond = edge.cond.toLowerCase();
-                opts[ cond ] = cond;
+                const cond = text.toLowerCase();
+                opts[ cond ] = opts[ cond ] || text;
 
                 return opts;
             },
             {}
         );
 
-        // given the options, guess the question type
-        node.data.qtype = this._determineQtype( opts );
+        // given the options and their comparisons, guess the question type,
+        // unless the specification tells us
+        node.data.qtype = ( hint )
+            ? hint.type
+            : this._determineQtype( opts, conds.map( edge => edge.cmp ) );
         node.data.qopts = opts;
 
         return node;
     }
 
 
-    _determineQtype( opts )
+    /**
+     * Guess question type from its options
+     *
+     * Questions whose options are all numeric comparisons (e.g. "5 or
+     * more" or "exceeds $500,000") are typed by their operands (see
+     * #_determineNumericQtype); the options of such questions are range
+     * checks rather than select options.
+     *
+     * @param {Object}         opts option text indexed by lowercase option
+     * @param {Array<Object>=} cmps comparison predicate of each condition
+     *                              (see SpecParser#_lexCmp)
+     *
+     * @return {string} question type
+     */
+    _determineQtype( opts, cmps )
     {
         const keys = Object.keys( opts );
         const n    = keys.length;
@@ -288,6 +670,12 @@ module.exports = class SpecEvaluator
             return 'noyes';
         }
 
+        const ntype = this._determineNumericQtype( cmps || [] );
+
+        if ( ntype ) {
+            return ntype;
+        }
+
         const popts = keys.filter( opt => /%$/.test( opt ) );
 
         // if everything is a percentage
@@ -296,8 +684,67 @@ module.exports = class SpecEvaluator
         }
 
         // everything else defaults to a select, since anything with a
-        // predicate must have some sort of option
-        // TODO: should we warn if there's only one option for a select?
+        // predicate must have some sort of option (selects with only one
+        // option are reported by SpecLinter)
         return 'select';
     }
+
+
+    /**
+     * Determine type of question from numeric comparisons
+     *
+     * Dates are recognized by their operands, and currency and
+     * percentages by their units.  Comparisons against only four-digit
+     * numbers in the range of plausible years (e.g. "before 1950") are
+     * years.  Everything else is an integer (e.g. counts or square
+     * footage).
+     *
+     * @param {Array<Object>} cmps comparison predicates
+     *
+     * @return {?string} question type, or null if not every comparison
+     *                   is numeric
+     */
+    _determineNumericQtype( cmps )
+    {
+        const numeric = ( cmps.length > 0 ) && cmps.every(
+            cmp => cmp && ( cmp.values.length > 0 ) && cmp.values.every(
+                value => ( typeof value === 'number' )
+                    || ( cmp.unit === 'date' )
+            )
+        );
+
+        if ( !numeric ) {
+            return null;
+        }
+
+        const units  = cmps.map( cmp => cmp.unit );
+        const values = cmps.reduce(
+            ( values, cmp ) => values.concat( cmp.values ),
+            []
+        );
+
+        // dates cannot be sensibly compared with anything else
+        if ( units.indexOf( 'date' ) > -1 ) {
+            return ( units.every( unit => unit === 'date' ) )
+                ? 'date'
+                : null;
+        }
+
+        if ( units.indexOf( 'currency' ) > -1 ) {
+            return 'currency';
+        }
+
+        if ( units.indexOf( 'percent' ) > -1 ) {
+            return 'percent';
+        }
+
+        const years = values.every(
+            value => ( value % 1 === 0 )
+                && ( value >= _year_min ) && ( value <= _year_max )
+        ) && units.every(
+            unit => ( unit === null ) || /^years?$/.test( unit )
+        );
+
+        return ( years ) ? 'year' : 'integer';
+    }
 }
@@ -0,0 +1,289 @@
+/**
+ * Structural checks of evaluated graph
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const LabelText      = require( './LabelText' );
+const SourceLocation = require( './SourceLocation' );
+
+
+/**
+ * Report specification smells
+ *
+ * Each diagnostic has a `severity' (`error', `warning' or `info'), the
+ * name of the `rule' that produced it, a `message', and the source
+ * location of the offending line (`loc') along with its description
+ * (`location'), if available.
+ */
+module.exports = class SpecLinter
+{
+    /**
+     * Lint evaluated graph
+     *
+     * @param {Graph} graph evaluated graph (see SpecEvaluator)
+     *
+     * @return {Array<Object>} diagnostics
+     */
+    lint( graph )
+    {
+        const questions = [];
+        const classes   = [];
+
+        graph.mapNodes( node =>
+        {
+            switch ( node.data.type )
+            {
+                case 'question':
+                    return questions.push( node );
+
+                case 'class':
+                    return classes.push( node );
+            }
+        } );
+
+        return [].concat(
+            this._lintSingleOption( questions ),
+            this._lintMixedNoyes( questions ),
+            this._lintUndefinedClasses( classes ),
+            this._lintVariants( questions ),
+            this._lintContradictions( questions )
+        );
+    }
+
+
+    /**
+     * Count diagnostics by severity
+     *
+     * @param {Array<Object>} diags diagnostics
+     *
+     * @return {Object} counts indexed by severity
+     */
+    summarize( diags )
+    {
+        return diags.reduce(
+            ( counts, diag ) =>
+            {
+                counts[ diag.severity ]++;
+                return counts;
+            },
+            { error: 0, warning: 0, info: 0 }
+        );
+    }
+
+
+    _diag( severity, rule, message, loc, extra )
+    {
+        const diag = {
+            severity: severity,
+            rule:     rule,
+            message:  message,
+            location: SourceLocation.describe( loc ),
+            loc:      loc,
+        };
+
+        return Object.keys( extra || {} ).reduce( ( diag, key ) =>
+        {
+            diag[ key ] = extra[ key ];
+            return diag;
+        }, diag );
+    }
+
+
+    _lintSingleOption( questions )
+    {
+        return questions
+            .filter( node => node.data.qtype === 'select' )
+            .filter( node => Object.keys( node.data.qopts ).length === 1 )
+            .map( node => this._diag(
+                'warning',
+                'single-option-select',
+                `Select question has a single option ` +
+                    `'${Object.keys( node.data.qopts )[ 0 ]}'`,
+                node.data.loc,
+                { qid: node.data.qid }
+            ) );
+    }
+
+
+    _lintMixedNoyes( questions )
+    {
+        return questions
+            .filter( node =>
+            {
+                const opts = this._allOptions( node );
+                const yn   = opts.filter( opt => /^(?:yes|no)$/.test( opt ) );
+
+                return ( yn.length > 0 ) && ( yn.length < opts.length );
+            } )
+            .map( node => this._diag(
+                'warning',
+                'mixed-noyes',
+                `Conditions mix yes/no with other values: ` +
+                    this._allOptions( node ).join( ', ' ),
+                node.data.loc,
+                { qid: node.data.qid }
+            ) );
+    }
+
+
+    /**
+     * Options of question, including those that are explicitly eligible
+     *
+     * @param {Object} node question node
+     *
+     * @return {Array<string>} unique lowercase options
+     */
+    _allOptions( node )
+    {
+        const { qopts = {}, eligible = [] } = node.data;
+
+        return eligible
+            .map( elig => elig.cond.toLowerCase() )
+            .reduce(
+                ( opts, opt ) => ( opts.indexOf( opt ) === -1 )
+                    ? opts.concat( [ opt ] )
+                    : opts,
+                Object.keys( qopts )
+            );
+    }
+
+
+    _lintUndefinedClasses( classes )
+    {
+        return classes
+            .filter( node => !node.data.defined )
+            .map( node =>
+            {
+                const refs = node.edges.in
+                    .filter( enode => enode.type === 'question' )
+                    .reduce( ( refs, enode ) => refs.concat(
+                        enode.reledges.map( edge => ( {
+                            qid: enode.data.qid,
+                            loc: edge.loc || enode.data.loc,
+                        } ) )
+                    ), [] );
+
+                return this._diag(
+                    'error',
+                    'undefined-class',
+                    `Class ${node.data.class} is asserted by ` +
+                        `${refs.length} condition(s) but has no row ` +
+                        `of its own`,
+                    ( refs[ 0 ] || {} ).loc,
+                    {
+                        'class':    node.data.class,
+                        references: refs.map( ref => ref.qid ),
+                    }
+                );
+            } );
+    }
+
+
+    /**
+     * Report questions asked for a single class whose labels vary only
+     * superficially from a question asked for many
+     *
+     * Such questions were likely intended to be the same question.
+     */
+    _lintVariants( questions )
+    {
+        const groups = questions.reduce( ( groups, node ) =>
+        {
+            const key = LabelText.normalize( node.data.label );
+
+            groups[ key ] = ( groups[ key ] || [] ).concat( [ node ] );
+            return groups;
+        }, {} );
+
+        const classCount = node => Object.keys( node.data.class_in ).length;
+
+        return Object.keys( groups )
+            .filter( key => groups[ key ].length > 1 )
+            .reduce( ( diags, key ) =>
+            {
+                const group  = groups[ key ];
+                const shared = group.filter( node => classCount( node ) > 1 );
+
+                if ( shared.length === 0 ) {
+                    return diags;
+                }
+
+                return diags.concat(
+                    group
+                        .filter( node => classCount( node ) === 1 )
+                        .map( node => this._diag(
+                            'info',
+                            'variant-question',
+                            `Question is asked only for class ` +
+                                `${Object.keys( node.data.class_in )[ 0 ]}, ` +
+                                `but is asked as '${shared[ 0 ].data.label}' ` +
+                                `for ${classCount( shared[ 0 ] )} classes`,
+                            node.data.loc,
+                            {
+                                qid:     node.data.qid,
+                                variant: shared[ 0 ].data.qid,
+                            }
+                        ) )
+                );
+            }, [] );
+    }
+
+
+    /**
+     * Report options that are both explicitly eligible and ineligible
+     *
+     * Predicates overlap if they are the same class or if either applies
+     * to all classes.
+     */
+    _lintContradictions( questions )
+    {
+        return questions.reduce( ( diags, node ) =>
+        {
+            const { eligible = [], qid } = node.data;
+
+            const inelig = node.edges.out
+                .filter( enode => enode.type === 'ineligible' )
+                .reduce( ( edges, enode ) => edges.concat( enode.reledges ), [] )
+                .filter( edge => edge.type === 'cond' );
+
+            return diags.concat( eligible
+                .map( elig => [
+                    elig,
+                    inelig.filter( edge =>
+                        ( edge.cond.toLowerCase() === elig.cond.toLowerCase() )
+                        && ( ( edge.pred === undefined )
+                            || ( edge.pred === elig.pred ) )
+                    )[ 0 ],
+                ] )
+                .filter( ( [ , edge ] ) => edge !== undefined )
+                .map( ( [ elig, edge ] ) => this._diag(
+                    'error',
+                    'contradictory-actions',
+                    `Option '${elig.cond}' is both eligible and ineligible ` +
+                        `for class ${elig.pred} (see ` +
+                        `${SourceLocation.describe( edge.loc )})`,
+                    elig.loc,
+                    { qid: qid, 'class': elig.pred }
+                ) )
+            );
+        }, [] );
+    }
+}
@@ -21,13 +21,43 @@
 
 'use strict';
 
-const classcol = "Class Code";
-const cdesccol = "Class(es) of Business";
+const QuestionMap    = require( './QuestionMap' );
+const SourceLocation = require( './SourceLocation' );
+
+// columns of specification rows (see SpecParser constructor)
+const default_columns = {
+    'class': "Class Code",
+    desc:    "Class(es) of Business",
+    qset: [
+        "Question Set",
+        "Question Set, continued",
+        "Question Set, continued 2",
+    ],
+    passthrough: [],
+};
+
+// numeric operand of a comparison: currency, percentages, plain numbers
+// (possibly with thousands separators) and dates
+const cmpnum = '([0-9]{1,2}/[0-9]{1,2}/[0-9]{2,4}' +
+    '|\\$?\\s*-?[0-9][0-9,]*(?:\\.[0-9]+)?\\s*%?)';
+
+// comparison phrases preceding an operand; order matters, since longer
+// phrases must be tried before their prefixes
+const cmpops = [
+    [ '(?:greater|more|higher) than or equal to', 'gte' ],
+    [ '(?:less|fewer|lower) than or equal to',    'lte' ],
+    [ '(?:at least|no less than|not less than|(?:a )?minimum of)', 'gte' ],
+    [ '(?:at most|no more than|not more than|up to|(?:a )?maximum of)', 'lte' ],
+    [ '(?:greater than|more than|higher than|over|above|exceeds?' +
+        '|in excess of|after)', 'gt' ],
+    [ '(?:less than|fewer than|lower than|under|below|before)', 'lt' ],
+    [ '(?:equal to|equals|exactly)', 'eq' ],
+];
 
-const qcols = [
-    "Question Set",
-    "Question Set, continued",
-    "Question Set, continued 2",
+// comparison phrases following an operand ("5 or more")
+const cmpsuffixes = [
+    [ '(?:or (?:more|greater|higher|over|above)|\\+)', 'gte' ],
+    [ '(?:or (?:less|fewer|lower|under|below))',         'lte' ],
 ];
 
 
@@ -38,57 +68,244 @@ const qcols = [
  */
 module.exports = class SpecParser
 {
+    /**
+     * Initialize parser
+     *
+     * In lenient mode, lines that cannot be parsed do not fail the parse;
+     * they are instead retained as `error' nodes attached to the graph
+     * where they occurred.
+     *
+     * Columns may be configured via `columns', which may contain any of:
+     *   - `class', the name of the class code column;
+     *   - `desc', the name of the class description column;
+     *   - `qset', the ordered list of Question Set column names, or a
+     *     pattern (RegExp or "/regex/" string) matching them in the order
+     *     in which they appear; and
+     *   - `passthrough', names of additional columns whose values are
+     *     attached to class nodes as `attrs'.
+     *
+     * @param {Object} options parser options (`lenient', `columns')
+     */
+    constructor( options )
+    {
+        const opts    = options || {};
+        const columns = opts.columns || {};
+
+        this._lenient = !!opts.lenient;
+
+        this._columns = Object.keys( default_columns ).reduce(
+            ( cols, key ) =>
+            {
+                cols[ key ] = ( columns[ key ] !== undefined )
+                    ? columns[ key ]
+                    : default_columns[ key ];
+
+                return cols;
+            },
+            {}
+        );
+
+        this._columns.qset = this._qsetMatcher( this._columns.qset );
+    }
+
+
+    /**
+     * Convert Question Set column configuration into a matcher
+     *
+     * @param {Array<string>|RegExp|string} qset column names or pattern
+     *
+     * @return {Array<string>|RegExp} column names or pattern
+     */
+    _qsetMatcher( qset )
+    {
+        if ( Array.isArray( qset ) || ( qset instanceof RegExp ) ) {
+            return qset;
+        }
+
+        const pattern = String( qset ).match( /^\/(.*)\/([a-z]*)$/ );
+
+        return ( pattern )
+            ? new RegExp( pattern[ 1 ], pattern[ 2 ] )
+            : [ qset ];
+    }
+
+
+    /**
+     * Parse specification rows into graph
+     *
+     * Rather than aborting on the first problem, every error encountered
+     * is collected; if any exist, the returned promise is rejected with a
+     * SyntaxError whose `diagnostics' field contains each of the original
+     * errors, annotated with their source location (`loc') and an offset
+     * within the source line (`offset').  If the source itself cannot be
+     * read, the error emitted by it is the sole diagnostic.
+     *
+     * @param {EventEmitter} csv   row source emitting `json', `done' and
+     *                             `error'
+     * @param {Graph}        graph destination graph
+     *
+     * @return {Promise} promise resolving to populated graph
+     */
     parse( csv, graph )
     {
-        return new Promise( resolve =>
+        return new Promise( ( resolve, reject ) =>
         {
             const tokens = [];
+            const errors = [];
 
+            // sources may still emit `done' after an error, but the
+            // promise will have already been rejected
             csv
+                .on( 'error', e => reject( this._readError( e ) ) )
                 .on( 'json', ( row, i ) =>
                 {
-                    const qset = this._parseQset(
-                        this._concatQset( row, i ),
-                        0
-                    );
-
-                    tokens.push( qset );
+                    try
+                    {
+                        const qset = this._parseQset(
+                            this._concatQset( row, i ),
+                            0,
+                            errors
+                        );
+
+                        tokens.push( qset );
+                    }
+                    catch ( e )
+                    {
+                        errors.push( this._locError(
+                            e, { row: this._rowNumber( i ) }
+                        ) );
+                    }
                 } )
                 .on( 'done', () =>
                 {
-                    resolve( this._populateGraph( graph, tokens ) );
+                    const result = this._populateGraph( graph, tokens, errors );
+
+                    if ( errors.length > 0 ) {
+                        reject( this._diagError( errors ) );
+                        return;
+                    }
+
+                    resolve( result );
                 } );
         } );
     }
 
 
+    /**
+     * Spreadsheet row number of zero-indexed data row `i'
+     *
+     * The first row of the spreadsheet is the header.
+     *
+     * @param {number} i data row index
+     *
+     * @return {number} row number
+     */
+    _rowNumber( i )
+    {
+        return i + 2;
+    }
+
+
     _concatQset( row, i )
     {
+        const { 'class': classcol, desc: cdesccol } = this._columns;
+
         const class_code = row[ classcol ];
         const class_desc = row[ cdesccol ];
+        const rowloc     = { row: this._rowNumber( i ), class_code: class_code };
 
         if ( class_code === undefined ) {
-            throw Error( `Missing column '${classcol}' for row ${i + 1}`);
+            throw this._locError(
+                Error( `Missing column '${classcol}'` ), rowloc
+            );
         }
         if ( class_desc === undefined ) {
-            throw Error( `Missing column '${cdesccol}' for row ${i + 1}`);
+            throw this._locError(
+                Error( `Missing column '${cdesccol}'` ), rowloc
+            );
         }
 
-        return [ [ class_code, class_desc ], qcols.reduce(
+        const attrs = this._passthroughAttrs( row, rowloc );
+        const qcols = this._qsetCols( row, rowloc );
+
+        // start offset of each column within the concatenated string, so
+        // that we can later map positions back to their source
+        const spans = [];
+
+        const qstr = qcols.reduce(
             ( str, col ) =>
             {
                 if ( row[ col ] === undefined ) {
-                    throw Error( `Missing column '${col}' for row ${i + 1}`)
+                    throw this._locError(
+                        Error( `Missing column '${col}'` ), rowloc
+                    );
                 }
 
-                return str + row[ col ] + "\n";
+                spans.push( { column: col, start: str.length } );
+
+                // CRLF line endings may have survived export
+                const cell = String( row[ col ] ).replace( /\r\n?/g, "\n" );
+
+                return str + cell + "\n";
             },
             ""
-        ) ];
+        );
+
+        const src = {
+            row:   rowloc.row,
+            qstr:  qstr,
+            spans: spans,
+        };
+
+        return [ [ class_code, class_desc, attrs ], qstr, src ];
     }
 
 
-    _parseQset( [ class_code, qstr ], pos )
+    /**
+     * Names of Question Set columns of `row', in order
+     *
+     * @param {Object} row    row object
+     * @param {Object} rowloc source location of row
+     *
+     * @return {Array<string>} column names
+     */
+    _qsetCols( row, rowloc )
+    {
+        const { qset } = this._columns;
+
+        if ( Array.isArray( qset ) ) {
+            return qset;
+        }
+
+        const cols = Object.keys( row ).filter( col => qset.test( col ) );
+
+        if ( cols.length === 0 ) {
+            throw this._locError(
+                Error( `No Question Set columns match ${qset}` ), rowloc
+            );
+        }
+
+        return cols;
+    }
+
+
+    _passthroughAttrs( row, rowloc )
+    {
+        return this._columns.passthrough.reduce( ( attrs, col ) =>
+        {
+            if ( row[ col ] === undefined ) {
+                throw this._locError(
+                    Error( `Missing column '${col}'` ), rowloc
+                );
+            }
+
+            attrs[ col ] = row[ col ];
+            return attrs;
+        }, {} );
+    }
+
+
+    _parseQset( [ class_code, qstr, src ], pos, errors )
     {
         if ( qstr.length === 0 ) {
             return [];
@@ -100,27 +317,172 @@ module.exports = class SpecParser
 
         if ( linematch === null ) {
             const next = qstr.slice( 0, 64 );
-            throw Error( `Qset parse error at pos ${pos}: ${next}` );
+            throw this._locError(
+                Error( `Qset parse error: ${next}` ),
+                this._locate( src, class_code, pos, next )
+            );
         }
 
         const [ match, ws, line ] = linematch;
 
-        const toks = this._lex( linematch, class_code );
+        const loc  = this._locate( src, class_code, pos + ws.length, line );
+        const toks = this._tryLex( linematch, class_code, loc, errors );
 
         return toks.concat(
             this._parseQset(
-                [ class_code, qstr.slice( match.length ) ],
-                pos + match.length
+                [ class_code, qstr.slice( match.length ), src ],
+                pos + match.length,
+                errors
+            )
+        );
+    }
+
+
+    /**
+     * Determine source location of offset within concatenated Question Set
+     *
+     * @param {Object} src        row source (see #_concatQset)
+     * @param {Array}  class_code class code, description and attributes
+     * @param {number} offset     offset within concatenated Question Set
+     * @param {string} text       source line
+     *
+     * @return {Object} source location
+     */
+    _locate( src, [ class_code ], offset, text )
+    {
+        const span = src.spans.reduce(
+            ( found, span ) => ( span.start <= offset ) ? span : found,
+            src.spans[ 0 ]
+        );
+
+        const preceding = src.qstr.slice( span.start, offset );
+
+        return {
+            row:        src.row,
+            column:     span.column,
+            line:       preceding.split( "\n" ).length,
+            class_code: class_code,
+            text:       text,
+        };
+    }
+
+
+    /**
+     * Lex line, recording any errors rather than throwing
+     *
+     * @param {Array}         match      line match (see #_parseQset)
+     * @param {Array}         class_code class code, description and attributes
+     * @param {Object}        loc        source location of line
+     * @param {Array<Error>}  errors     error accumulator
+     *
+     * @return {Array<Object>} tokens, or an empty array on error
+     */
+    _tryLex( match, class_code, loc, errors )
+    {
+        try
+        {
+            return this._lex( match, class_code, loc );
+        }
+        catch ( e )
+        {
+            if ( this._lenient ) {
+                return this._annotateToks(
+                    [ this._errtok( e.message, match[ 2 ] ) ],
+                    match,
+                    class_code,
+                    loc
+                );
+            }
+
+            errors.push( this._locError( e, loc ) );
+            return [];
+        }
+    }
+
+
+    /**
+     * Associate source location with error
+     *
+     * If the error already has a location, it is retained.
+     *
+     * @param {Error}  e      error
+     * @param {Object} loc    source location
+     * @param {number} offset offset within source line
+     *
+     * @return {Error} `e'
+     */
+    _locError( e, loc, offset )
+    {
+        e.loc    = e.loc || loc;
+        e.offset = ( e.offset !== undefined ) ? e.offset : offset;
+
+        return e;
+    }
+
+
+    /**
+     * Produce error describing failure to read specification
+     *
+     * @param {Error|string} e error emitted by row source
+     *
+     * @return {Error} error with `diagnostics' field
+     */
+    _readError( e )
+    {
+        const err = Error(
+            `Unable to read specification: ${( e && e.message ) || e}`
+        );
+
+        err.diagnostics = [ err ];
+
+        return err;
+    }
+
+
+    /**
+     * Produce a single error describing each of `errors'
+     *
+     * Errors are ordered by their location in the source.
+     *
+     * @param {Array<Error>} errors errors with source locations
+     *
+     * @return {SyntaxError} error with `diagnostics' field
+     */
+    _diagError( errors )
+    {
+        const sorted = errors
+            .map( ( e, i ) => [ e, i ] )
+            .sort( ( [ a, ai ], [ b, bi ] ) =>
+                ( ( a.loc || {} ).row - ( b.loc || {} ).row ) || ( ai - bi )
             )
+            .map( ( [ e ] ) => e );
+
+        const n = sorted.length;
+
+        const e = SyntaxError(
+            `${n} error${ ( n === 1 ) ? '' : 's' } in specification:\n\n` +
+                sorted.map(
+                    err => SourceLocation.format( err.message, err.loc, err.offset )
+                ).join( "\n\n" )
         );
+
+        e.diagnostics = sorted;
+
+        return e;
     }
 
 
-    _lex( match, class_code )
+    _lex( match, class_code, loc )
     {
-        const [ lexeme, ws, line ] = match;
+        return this._annotateToks(
+            this._makeTokens( match[ 2 ] ), match, class_code, loc
+        );
+    }
 
-        const toks = this._makeTokens( line );
+
+    _annotateToks( toks, match, class_code, loc )
+    {
+        const [ lexeme, ws, line ] = match;
 
         // sub-questions should count as indented despite the lack of
         // whitespace
@@ -128,12 +490,13 @@ module.exports = class SpecParser
             ? ws.length + 1
             : ws.length;
 
-        // add indent and lexeme metadata
+        // add indent, lexeme and source metadata
         return toks.map( tok =>
         {
             tok.depth      = length;
             tok.lexeme     = lexeme;
             tok.class_code = class_code;
+            tok.loc        = loc;
 
             return tok;
         } );
@@ -162,17 +525,30 @@ module.exports = class SpecParser
 
         // question continuation
         if ( line[ 0 ] === '-' ) {
-            return [ this._tok(
-                'question-cont',
-                line.match( /^-\s*(.*?)\??\s*$/ )[ 1 ]
+            const [ text, type, optstr ] = this._splitHint( line );
+            const cont = text.match( /^-\s*(.*?)\??\s*$/ )[ 1 ];
+
+            return [ this._hintTok(
+                this._tok( 'question-cont', cont ), type, optstr
             ) ];
         }
 
-        // conditional sometimes uses "is" (typo?)
-        const cond = line.match( /^i[fs] ([^,]+),\s*(.*)$/i );
+        // conditional sometimes uses "is" (typo?); commas are permitted
+        // as thousands separators (e.g. "$1,000,000")
+        const cond = line.match( /^i[fs] ((?:[^,]|,(?=[0-9]{3}))+),\s*(.*)$/i );
         if ( cond )
         {
-            return this._lexCond( cond );
+            try
+            {
+                return this._lexCond( cond );
+            }
+            catch ( e )
+            {
+                // point to the action, since that is what failed
+                throw this._locError(
+                    e, undefined, line.length - cond[ 2 ].length
+                );
+            }
         }
 
         if ( this._isQuestion( line ) ) {
@@ -185,38 +561,128 @@ module.exports = class SpecParser
 
     _isQuestion( str )
     {
-        const lastc = str.substr( -1 );
+        const [ text ] = this._splitHint( str );
 
         // trailing question mark or colon, but sometimes the question mark
         // is followed by a parenthesized statement to provide instruction
         // or clarification
-        return /[?:]$|.*?\?\s*\([^)]+\)$/.test( str );
+        return /[?:]$|.*?\?\s*\([^)]+\)$/.test( text );
     }
 
 
     _lexQuestion( str )
     {
-        return this._tok(
-            'question',
-            str
+        const [ text, type, optstr ] = this._splitHint( str );
+
+        return this._hintTok(
+            this._tok( 'question', text ),
+            type,
+            optstr
         );
     }
 
 
+    /**
+     * Separate trailing type hint from question text
+     *
+     * A hint is a bracketed question type following the question, such as
+     * "[date]"; select hints may list their options, delimited by pipes
+     * (e.g. "[select: Wood | Metal | Tile]").
+     *
+     * @param {string} str question text
+     *
+     * @return {Array<string>} question text without hint, hint type and
+     *                         hint options (both undefined if no hint)
+     */
+    _splitHint( str )
+    {
+        const match = str.match(
+            /^(.*?)\s*\[\s*([a-z]+)\s*(?::([^\]]*))?\]$/i
+        );
+
+        return ( match )
+            ? match.slice( 1 )
+            : [ str, undefined, undefined ];
+    }
+
+
+    /**
+     * Attach type hint to question token
+     *
+     * The hint is an object containing the question `type' and, for
+     * selects, any explicit `opts'.
+     *
+     * @param {Object}  tok    question token
+     * @param {string=} type   hint type
+     * @param {string=} optstr pipe-delimited options
+     *
+     * @throws {SyntaxError} if type is unknown or has options but is not a
+     *                       select
+     *
+     * @return {Object} question token
+     */
+    _hintTok( tok, type, optstr )
+    {
+        if ( type === undefined ) {
+            return tok;
+        }
+
+        const qtype  = type.toLowerCase();
+        const qtypes = QuestionMap.qtypes;
+
+        if ( qtypes.indexOf( qtype ) === -1 ) {
+            throw SyntaxError(
+                `Unknown type hint '${type}'; expected one of ` +
+                    qtypes.join( ', ' )
+            );
+        }
+
+        tok.hint = { type: qtype };
+
+        if ( optstr !== undefined ) {
+            if ( qtype !== 'select' ) {
+                throw SyntaxError( `Type hint '${type}' cannot have options` );
+            }
+
+            tok.hint.opts = optstr.split( '|' )
+                .map( opt => opt.trim() )
+                .filter( opt => opt !== '' );
+        }
+
+        return tok;
+    }
+
+
     _lexCond( [ , cmp, action ] )
     {
-        // TODO: further parsing of cmp (e.g. "less than or equal to")
-        const tok = [ this._tok( 'cond', cmp ) ];
+        const cond = this._tok( 'cond', cmp );
+        cond.cmp   = this._lexCmp( cond.value );
 
-        // `continue' is just for completeness; ignore condition
-        // entirely
-        if ( /^continue\.?$/.test( action ) ) {
-            return [];
+        const tok = [ cond ];
+
+        try
+        {
+            return this._lexCondAction( tok, action );
         }
+        catch ( e )
+        {
+            if ( !this._lenient ) {
+                throw e;
+            }
 
-        // remove; it's eligible by default
-        if ( /^(eligible)\.?$/.test( action ) ) {
-            return [];
+            return tok.concat( [ this._errtok( e.message, action ) ] );
+        }
+    }
+
+
+    _lexCondAction( tok, action )
+    {
+        // it's eligible by default, so this produces no action, but we
+        // retain it so that it can be checked for contradictions; the same
+        // is true of `continue', which still contributes its option to the
+        // question
+        if ( /^(eligible|continue)\.?$/.test( action ) ) {
+            return tok.concat( [ this._tok( 'eligible' ) ] );
         }
         if ( /^(not eligible)\.?$/.test( action ) ) {
             return tok.concat( [ this._tok( 'ineligible' ) ] );
@@ -257,6 +723,152 @@ module.exports = class SpecParser
     }
 
 
+    /**
+     * Parse comparison into a structured predicate
+     *
+     * The predicate consists of an operator `op' (`eq', `gt', `gte', `lt',
+     * `lte' or `between'), its operands `values' and an optional `unit'.
+     * The unit is `currency', `percent' or `date' when it can be determined
+     * from the operand itself, otherwise any trailing text
+     * (e.g. "employees").  Text preceding the comparison (e.g. "revenue"
+     * in "revenue exceeds $500,000") is retained as `subject'.
+     *
+     * Anything that is not recognized as a numeric comparison is a simple
+     * equality test against the original (lowercase) text, such as "yes".
+     *
+     * @param {string} cmp comparison string
+     *
+     * @return {Object} predicate
+     */
+    _lexCmp( cmp )
+    {
+        const str = cmp.trim().replace( /\.$/, '' );
+
+        const between = str.match( new RegExp(
+            '^(.*?)\\s*(?:is\\s+)?(?:between|from)\\s+' + cmpnum +
+                '\\s*(?:and|to|-)\\s*' + cmpnum + '\\s*(.*)$',
+            'i'
+        ) ) || str.match( new RegExp(
+            '^()' + cmpnum + '\\s*(?:-|to)\\s*' + cmpnum + '\\s*(.*)$', 'i'
+        ) );
+
+        if ( between ) {
+            const [ , subject, lo, hi, rest ] = between;
+            return this._cmpPred( 'between', [ lo, hi ], subject, rest );
+        }
+
+        const prefixed = cmpops.reduce( ( found, [ phrase, op ] ) =>
+        {
+            if ( found ) {
+                return found;
+            }
+
+            const match = str.match( new RegExp(
+                '^(.*?)\\s*(?:is\\s+)?\\b' + phrase + '\\s+' + cmpnum +
+                    '\\s*(.*)$',
+                'i'
+            ) );
+
+            return match && this._cmpPred(
+                op, [ match[ 2 ] ], match[ 1 ], match[ 3 ]
+            );
+        }, null );
+
+        if ( prefixed ) {
+            return prefixed;
+        }
+
+        const suffixed = cmpsuffixes.reduce( ( found, [ phrase, op ] ) =>
+        {
+            if ( found ) {
+                return found;
+            }
+
+            const match = str.match( new RegExp(
+                '^(.*?)\\s*' + cmpnum + '\\s*' + phrase + '\\s*(.*)$', 'i'
+            ) );
+
+            return match && this._cmpPred(
+                op, [ match[ 2 ] ], match[ 1 ], match[ 3 ]
+            );
+        }, null );
+
+        if ( suffixed ) {
+            return suffixed;
+        }
+
+        // a lone number is an equality test
+        const lone = str.match( new RegExp( '^' + cmpnum + '\\s*(.*)$' ) );
+        if ( lone ) {
+            return this._cmpPred( 'eq', [ lone[ 1 ] ], '', lone[ 2 ] );
+        }
+
+        return {
+            op:     'eq',
+            values: [ str.toLowerCase() ],
+            unit:   null,
+        };
+    }
+
+
+    _cmpPred( op, operands, subject, rest )
+    {
+        const units = operands.map( operand =>
+        {
+            if ( /^\$/.test( operand ) ) {
+                return 'currency';
+            }
+            if ( /%$/.test( operand ) ) {
+                return 'percent';
+            }
+            if ( /\//.test( operand ) ) {
+                return 'date';
+            }
+
+            return null;
+        } );
+
+        const suffix = ( rest || '' ).replace( /^of\s+/i, '' ).trim();
+        const unit   = units.filter( u => u !== null )[ 0 ]
+            || ( /^%/.test( suffix ) && 'percent' )
+            || suffix.toLowerCase()
+            || null;
+
+        const pred = {
+            op:     op,
+            values: operands.map( operand => this._cmpValue( operand ) ),
+            unit:   unit,
+        };
+
+        if ( subject ) {
+            pred.subject = subject.trim().toLowerCase();
+        }
+
+        return pred;
+    }
+
+
+    _cmpValue( operand )
+    {
+        const date = operand.match( /^([0-9]+)\/([0-9]+)\/([0-9]+)$/ );
+
+        if ( date ) {
+            const [ , month, day, year ] = date;
+            const pad = n => ( '0' + n ).substr( -2 );
+
+            // two-digit years pivot on 50, so "1/1/85" is in 1985 and
+            // "1/1/15" in 2015
+            const century = ( year.length !== 2 )
+                ? ''
+                : ( +year >= 50 ) ? '19' : '20';
+
+            return century + year + '-' + pad( month ) + '-' + pad( day );
+        }
+
+        return +operand.replace( /[$,%\s]/g, '' );
+    }
+
+
     _errtok( message, context )
     {
         return {
@@ -315,15 +927,29 @@ module.exports = class SpecParser
      *
      * @return {Object} AST
      */
-    _populateGraph( graph, row_toks )
+    _populateGraph( graph, row_toks, errors )
     {
         // root node for all classes, to make life easier and produce a
         // connected graph
         graph.addNode( { type: 'classes' }, 'classes' );
 
         row_toks.forEach( tokens =>
-            this._rowToGraph( graph, tokens )
-        );
+        {
+            const rowloc = ( tokens[ 0 ] || {} ).loc;
+
+            try
+            {
+                this._rowToGraph( graph, tokens );
+            }
+            catch ( e )
+            {
+                if ( !errors ) {
+                    throw e;
+                }
+
+                errors.push( this._locError( e, rowloc ) );
+            }
+        } );
 
         return graph;
     }
@@ -337,50 +963,125 @@ module.exports = class SpecParser
 
         const tok = tokens.shift();
 
+        // eligibility is the default, so a stray eligible condition has no
+        // effect
+        if ( ( tok.type === 'cond' ) && tokens[ 0 ]
+            && ( tokens[ 0 ].type === 'eligible' )
+        ) {
+            tokens.shift();
+            return this._rowToGraph( graph, tokens );
+        }
+
+        if ( ( tok.type !== 'question' ) && this._lenient ) {
+            this._rowErrorToGraph( graph, tok, tokens );
+            return this._rowToGraph( graph, tokens );
+        }
+
         if ( tok.type !== 'question' ) {
-            throw SyntaxError(
-                `Expected top-level question, but received ${tok.type}`
+            throw this._locError(
+                SyntaxError(
+                    `Expected top-level question, but received ${tok.type}`
+                ),
+                tok.loc
             );
         }
 
-        const [ class_code, class_desc ] = tok.class_code;
+        const [ class_code, class_desc, attrs ] = tok.class_code;
 
         const class_node = this._createClassNode(
-            graph, class_code, class_desc
+            graph, class_code, class_desc, attrs
+        );
+
+        // distinguishes classes with their own rows from those that are
+        // only referenced by class assertions
+        graph.get( class_node ).defined = true;
+
+        // edges are otherwise ordered by question node id, which reflects
+        // the first row in which a question appears rather than its
+        // position within this row
+        const pos = graph.node( class_node ).edges.out.reduce(
+            ( n, out ) => n + out.reledges.length, 0
         );
 
         graph.addEdges(
             class_node,
-            this._createQuestions( graph, tok, tokens )
+            this._createQuestions( graph, tok, tokens ),
+            { pos: pos }
         );
 
         this._rowToGraph( graph, tokens );
     }
 
 
-    _createClassNode( graph, class_code, class_desc )
+    /**
+     * Attach unexpected top-level token to its class as an error
+     *
+     * A stray condition takes its action along with it, unless that action
+     * is a question, which will then be considered top-level.
+     *
+     * @param {Graph}         graph  destination graph
+     * @param {Object}        tok    unexpected token
+     * @param {Array<Object>} tokens remaining row tokens (consumed)
+     *
+     * @return {undefined}
+     */
+    _rowErrorToGraph( graph, tok, tokens )
+    {
+        const [ class_code, class_desc, attrs ] = tok.class_code;
+
+        const class_node = this._createClassNode(
+            graph, class_code, class_desc, attrs
+        );
+
+        if ( ( tok.type === 'cond' ) && tokens[ 0 ]
+            && ( tokens[ 0 ].type !== 'question' )
+        ) {
+            tokens.shift();
+        }
+
+        const errtok = ( tok.type === 'error' )
+            ? tok
+            : this._errtok(
+                `Expected top-level question, but received ${tok.type}`,
+                tok.lexeme.trim()
+            );
+
+        errtok.loc = tok.loc;
+
+        graph.addEdges(
+            class_node,
+            this._createActions( graph, errtok, tokens ),
+            { type: 'error' }
+        );
+    }
+
+
+    _createClassNode( graph, class_code, class_desc, attrs )
     {
         const index    = `class$${class_code}`;
-        const existing = graph[ index ];
+        const existing = graph.get( index );
 
         // class desc may not have been available the first time we were
         // referenced
         if ( existing ) {
             existing.desc = class_desc || existing.desc;
-
-            return existing;
+            this._mergeClassAttrs( existing, attrs );
         }
 
         // might already exist because assert-class might reference before
         // we encounter the root class reference
         const class_node = graph.addNodeIfNew(
-            {
-                type:  'class',
-                label: `Class ${class_code}`,
-                class: class_code,
-                desc:  class_desc || '',
-            },
-            `class$${class_code}`
+            existing || this._mergeClassAttrs(
+                {
+                    type:  'class',
+                    label: `Class ${class_code}`,
+                    class: class_code,
+                    desc:  class_desc || '',
+                    attrs: {},
+                },
+                attrs
+            ),
+            index
         );
 
         graph.addEdgeIfNew(
@@ -394,6 +1095,35 @@ module.exports = class SpecParser
     }
 
 
+    /**
+     * Merge passthrough column values into class node data
+     *
+     * A class may appear on multiple rows, so each attribute is the list
+     * of its distinct non-empty values.
+     *
+     * @param {Object} class_data class node data
+     * @param {Object} attrs      passthrough column values
+     *
+     * @return {Object} `class_data'
+     */
+    _mergeClassAttrs( class_data, attrs )
+    {
+        Object.keys( attrs || {} ).forEach( col =>
+        {
+            const values = class_data.attrs[ col ] || [];
+            const value  = attrs[ col ];
+
+            if ( ( value !== '' ) && ( values.indexOf( value ) === -1 ) ) {
+                values.push( value );
+            }
+
+            class_data.attrs[ col ] = values;
+        } );
+
+        return class_data;
+    }
+
+
     _createQuestions( graph, qtok, tokens )
     {
         const [ class_code ] = qtok.class_code;
@@ -424,7 +1154,10 @@ module.exports = class SpecParser
             tokens,
             ( qstr_set, tok ) =>
             {
-                qstr_set.push( qtok.value + ' ' + tok.value );
+                // continuations may have their own type hints
+                qstr_set.push(
+                    [ qtok.value + ' ' + tok.value, tok.hint || qtok.hint ]
+                );
                 return qstr_set;
             },
             []
@@ -432,23 +1165,28 @@ module.exports = class SpecParser
 
         // if no continuations were found, then we're the question
         if ( qstr_set.length === 0 ) {
-            qstr_set.push( qtok.value );
+            qstr_set.push( [ qtok.value, qtok.hint ] );
         }
 
         // make nodes out of each
-        return qstr_set.map(
-            qstr => graph.addNodeIfNew(
-                this._qtokFromCont( qtok, qstr ),
+        return qstr_set.map( ( [ qstr, hint ] ) =>
+        {
+            const q = graph.addNodeIfNew(
+                this._qtokFromCont( qtok, qstr, hint ),
                 `q$${qstr}`
-            )
-        );
+            );
+
+            this._mergeHint( graph.get( q ), hint, qtok.loc );
+
+            return q;
+        } );
     }
 
 
-    _qtokFromCont( qtok, qstr )
+    _qtokFromCont( qtok, qstr, hint )
     {
         // everything about the question continuation is the same except for
-        // the label
+        // the label and type hint
         const newtok = Object.keys( qtok ).reduce( ( newtok, key ) =>
         {
             newtok[ key ] = qtok[ key ];
@@ -456,11 +1194,50 @@ module.exports = class SpecParser
         }, {} );
 
         newtok.label = this._qlabel( qstr );
+        newtok.hint  = hint;
 
         return newtok;
     }
 
 
+    /**
+     * Record type hint on existing question
+     *
+     * A question need only be hinted once, but all of its hints must
+     * agree.
+     *
+     * @param {Object}  qdata question node data
+     * @param {Object=} hint  type hint
+     * @param {Object}  loc   source location of hint
+     *
+     * @throws {SyntaxError} if hint conflicts with existing hint
+     *
+     * @return {undefined}
+     */
+    _mergeHint( qdata, hint, loc )
+    {
+        if ( hint === undefined ) {
+            return;
+        }
+
+        const hintstr = h => h.type
+            + ( ( h.opts ) ? ': ' + h.opts.join( ' | ' ) : '' );
+
+        if ( qdata.hint && ( hintstr( qdata.hint ) !== hintstr( hint ) ) ) {
+            throw this._locError(
+                SyntaxError(
+                    `Type hint [${hintstr( hint )}] conflicts with ` +
+                        `[${hintstr( qdata.hint )}] for question ` +
+                        `'${qdata.label}'`
+                ),
+                loc
+            );
+        }
+
+        qdata.hint = hint;
+    }
+
+
     _qlabel( label )
     {
         // capitalize, remove extra whitespace, etc
@@ -475,22 +1252,48 @@ module.exports = class SpecParser
 
     _attachConditions( graph, depth, qset, tokens, class_code )
     {
-        return this._reduceType( 'cond', depth, tokens, ( _, tok ) =>
+        const types = [ 'cond', 'error' ];
+
+        return this._reduceType( types, depth, tokens, ( _, tok ) =>
         {
+            // lines that could not be parsed (lenient mode) are attached
+            // directly to the questions they follow
+            if ( tok.type === 'error' ) {
+                const errors = this._createActions( graph, tok, tokens );
+
+                qset.forEach(
+                    q => graph.addEdges( q, errors, { type: 'error' } )
+                );
+
+                return qset;
+            }
+
             // the next token represents the action to take (which could be
             // anything, really)
             const action_tok = tokens.shift();
-            const actions    = this._createActions( graph, action_tok, tokens );
+
+            // eligibility produces no edges; it is recorded only on the
+            // questions themselves
+            if ( action_tok.type === 'eligible' ) {
+                qset.forEach(
+                    q => this._recordEligible( graph, q, tok, class_code )
+                );
+                return qset;
+            }
+
+            const actions = this._createActions( graph, action_tok, tokens );
 
             // the condition represents an edge from the question to the
             // action
+            // `cond' is the original string representing the condition,
+            // whereas `cmp' is its parsed predicate
             const edge = {
-                // note that this is only a string representing the
-                // condition; it hasn't been parsed (see previous TODO)
                 type:   tok.type,
                 cond:   tok.value,
+                cmp:    tok.cmp,
                 action: action_tok.type,
                 pred:   class_code || "???",   // predicate
+                loc:    tok.loc,
             };
 
             // create an edge from every question to every action
@@ -508,6 +1311,29 @@ module.exports = class SpecParser
     }
 
 
+    /**
+     * Record explicitly eligible condition on question
+     *
+     * @param {Graph}  graph      destination graph
+     * @param {number} q          question node id
+     * @param {Object} tok        condition token
+     * @param {string} class_code class code predicate
+     *
+     * @return {undefined}
+     */
+    _recordEligible( graph, q, tok, class_code )
+    {
+        const qdata = graph.get( q );
+
+        qdata.eligible = ( qdata.eligible || [] ).concat( [ {
+            cond: tok.value,
+            cmp:  tok.cmp,
+            pred: class_code,
+            loc:  tok.loc,
+        } ] );
+    }
+
+
     /**
      * @return {Array<number>} destination node ids
      */
@@ -527,6 +1353,22 @@ module.exports = class SpecParser
                     return this._createClassNode( graph, class_code, class_desc );
                 } );
 
+            // errors are unique to their location
+            case 'error':
+                return [
+                    graph.addNodeIfNew(
+                        {
+                            type:    tok.type,
+                            value:   tok.value,
+                            label:   tok.value,
+                            context: tok.context,
+                            loc:     tok.loc,
+                            offset:  this._contextOffset( tok ),
+                        },
+                        'error$' + SourceLocation.describe( tok.loc )
+                    )
+                ];
+
             // otherwise it is its own action
             default:
                 const index = tok.type + '$' + tok.value;
@@ -536,7 +1378,7 @@ module.exports = class SpecParser
                 // further parsing
             return [
                 graph.addNodeIfNew(
-                    { type: tok.type, value: tok.value },
+                    { type: tok.type, value: tok.value, loc: tok.loc },
                     index
                 )
             ];
@@ -544,6 +1386,14 @@ module.exports = class SpecParser
     }
 
 
+    _contextOffset( { context, loc } )
+    {
+        const text = ( loc && loc.text ) || '';
+
+        return Math.max( 0, text.indexOf( context ) );
+    }
+
+
     _parseClassChunk( class_str )
     {
         // at this point, trailing digits should be the class code, and
@@ -558,10 +1408,11 @@ module.exports = class SpecParser
 
     _reduceType( type, depth, tokens, c, init )
     {
-        const tok = tokens[ 0 ] || {};
+        const tok   = tokens[ 0 ] || {};
+        const types = [].concat( type );
 
         // both the token type _and_ depth must match
-        if ( ( tok.type !== type ) || ( tok.depth <= depth ) ) {
+        if ( ( types.indexOf( tok.type ) === -1 ) || ( tok.depth <= depth ) ) {
             return init;
         }
 
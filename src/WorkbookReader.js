@@ -0,0 +1,153 @@
+/**
+ * Spreadsheet workbook row source
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const EventEmitter = require( 'events' );
+
+
+/**
+ * Read rows from a workbook (e.g. xlsx, ods)
+ *
+ * Rows are emitted in the same manner as csvtojson so that the result can
+ * be given directly to SpecParser#parse: a `json' event for each row with
+ * the row object and its index, followed by `done'.  If the workbook or
+ * sheet cannot be read, a single `error' event is emitted instead.
+ */
+module.exports = class WorkbookReader
+{
+    /**
+     * Initialize reader
+     *
+     * The sheet may be identified by name or by its one-based position
+     * within the workbook; it defaults to the first sheet.
+     *
+     * @param {Object}          xlsx  SheetJS module
+     * @param {string|number=}  sheet sheet name or position
+     */
+    constructor( xlsx, sheet )
+    {
+        this._xlsx  = xlsx;
+        this._sheet = sheet;
+    }
+
+
+    /**
+     * Read rows of workbook at `path'
+     *
+     * The first row of the sheet is taken to be the header.
+     *
+     * @param {string} path workbook path
+     *
+     * @return {EventEmitter} row source
+     */
+    fromFile( path )
+    {
+        const emitter = new EventEmitter();
+
+        setImmediate( () =>
+        {
+            let rows;
+
+            try {
+                rows = this._readRows( path );
+            }
+            catch ( e ) {
+                emitter.emit( 'error', e );
+                return;
+            }
+
+            rows.forEach( ( [ row, i ] ) => emitter.emit( 'json', row, i ) );
+
+            emitter.emit( 'done' );
+        } );
+
+        return emitter;
+    }
+
+
+    /**
+     * Normalized rows of workbook paired with their indexes
+     */
+    _readRows( path )
+    {
+        const workbook = this._xlsx.readFile( path );
+        const sheet    = this._selectSheet( workbook );
+
+        const rows = this._xlsx.utils.sheet_to_json( sheet, {
+            defval:    '',
+            raw:       false,
+            blankrows: true,
+        } );
+
+        // rows are relative to the start of the used range of the sheet,
+        // which may not be the first row
+        const range  = this._xlsx.utils.decode_range( sheet[ '!ref' ] || 'A1' );
+        const offset = range.s.r;
+
+        return rows.map(
+            ( row, i ) => [ this._normalizeRow( row ), i + offset ]
+        );
+    }
+
+
+    _selectSheet( workbook )
+    {
+        const names = workbook.SheetNames;
+        const given = ( this._sheet === undefined ) ? 1 : this._sheet;
+
+        const name = ( /^[0-9]+$/.test( given ) && !workbook.Sheets[ given ] )
+            ? names[ given - 1 ]
+            : given;
+
+        if ( !workbook.Sheets[ name ] ) {
+            throw Error(
+                `Sheet '${given}' not found; available sheets: ` +
+                    names.map( n => `'${n}'` ).join( ", " )
+            );
+        }
+
+        return workbook.Sheets[ name ];
+    }
+
+
+    /**
+     * Normalize cell values
+     *
+     * Line breaks within cells are significant to the Question Set
+     * grammar, so all variants are converted to newlines.
+     *
+     * @param {Object} row row object
+     *
+     * @return {Object} normalized row
+     */
+    _normalizeRow( row )
+    {
+        return Object.keys( row ).reduce( ( normal, col ) =>
+        {
+            normal[ col ] = String( row[ col ] )
+                .replace( /_x000D_/g, '' )
+                .replace( /\r\n?/g, "\n" );
+
+            return normal;
+        }, {} );
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Well-formedness checks of generated XML
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const _name = '[A-Za-z_:][A-Za-z0-9_.:-]*';
+const _attr = `(${_name})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`;
+
+// markup recognized at the start of the remaining input, in order of
+// precedence
+const _markup = [
+    [ 'comment', /^<!--([\s\S]*?)-->/ ],
+    [ 'pi',      /^<\?[\s\S]*?\?>/ ],
+    [ 'cdata',   /^<!\[CDATA\[[\s\S]*?\]\]>/ ],
+    [ 'end',     new RegExp( `^</(${_name})\\s*>` ) ],
+    [ 'start',   new RegExp(
+        `^<(${_name})((?:\\s+${_attr})*)\\s*(/?)>`
+    ) ],
+    [ 'text',    /^[^<]+/ ],
+];
+
+// ampersands that do not begin a reference needing no declaration
+const _badref = /&(?!(?:amp|lt|gt|quot|apos|#[0-9]+|#x[0-9a-fA-F]+);)/;
+
+
+/**
+ * Check that generated XML fragments are well-formed
+ *
+ * A fragment is any sequence of markup that would be well-formed if it
+ * were enclosed in a root element; it may therefore contain multiple
+ * elements.  Namespace prefixes are not checked, since they are declared
+ * by the documents into which fragments are placed.
+ *
+ * This is not a validating parser; it exists to catch generator bugs.
+ */
+module.exports = class XmlChecker
+{
+    /**
+     * Check fragment for well-formedness
+     *
+     * The thrown error has the `line' and `column' (both one-based) of
+     * the problem within the fragment.
+     *
+     * @param {string} xml XML fragment
+     *
+     * @throws {SyntaxError} if fragment is not well-formed
+     *
+     * @return {undefined}
+     */
+    check( xml )
+    {
+        const open = [];
+        let   pos  = 0;
+
+        while ( pos < xml.length ) {
+            const [ type, match ] = this._next( xml.substr( pos ) );
+
+            if ( !match ) {
+                throw this._error( xml, pos, "Malformed markup" );
+            }
+
+            this._checkToken( xml, pos, type, match, open );
+
+            pos += match[ 0 ].length;
+        }
+
+        if ( open.length > 0 ) {
+            const [ name, at ] = open[ open.length - 1 ];
+
+            throw this._error( xml, at, `Unclosed element <${name}>` );
+        }
+    }
+
+
+    _next( rest )
+    {
+        return _markup
+            .map( ( [ type, re ] ) => [ type, rest.match( re ) ] )
+            .filter( ( [ , match ] ) => match )[ 0 ] || [];
+    }
+
+
+    _checkToken( xml, pos, type, match, open )
+    {
+        switch ( type )
+        {
+            case 'comment':
+                if ( /--|-$/.test( match[ 1 ] ) ) {
+                    throw this._error(
+                        xml, pos, "Comment contains `--' or ends in `-'"
+                    );
+                }
+                return;
+
+            case 'text':
+                if ( /]]>/.test( match[ 0 ] ) ) {
+                    throw this._error( xml, pos, "Text contains `]]>'" );
+                }
+
+                return this._checkRefs( xml, pos, match[ 0 ] );
+
+            case 'end':
+                const [ name ] = open.pop() || [];
+
+                if ( name !== match[ 1 ] ) {
+                    throw this._error(
+                        xml,
+                        pos,
+                        ( name === undefined )
+                            ? `Unexpected end tag </${match[ 1 ]}>`
+                            : `Expected </${name}> but found </${match[ 1 ]}>`
+                    );
+                }
+                return;
+
+            case 'start':
+                this._checkAttrs( xml, pos + match[ 1 ].length + 1, match[ 2 ] );
+
+                if ( !match[ match.length - 1 ] ) {
+                    open.push( [ match[ 1 ], pos ] );
+                }
+                return;
+        }
+    }
+
+
+    /**
+     * Check attributes of start tag, where `pos' is the offset of
+     * `attrstr' within `xml'
+     */
+    _checkAttrs( xml, pos, attrstr )
+    {
+        const re   = new RegExp( _attr, 'g' );
+        const seen = {};
+
+        let match;
+
+        while ( ( match = re.exec( attrstr ) ) ) {
+            const [ , name, dq, sq ] = match;
+            const value              = ( dq === undefined ) ? sq : dq;
+
+            const attrpos  = pos + match.index;
+            const valuepos = attrpos + match[ 0 ].search( /["']/ ) + 1;
+
+            if ( seen[ name ] ) {
+                throw this._error(
+                    xml, attrpos, `Duplicate attribute '${name}'`
+                );
+            }
+
+            if ( /</.test( value ) ) {
+                throw this._error(
+                    xml, valuepos + value.indexOf( '<' ),
+                    `Attribute '${name}' contains '<'`
+                );
+            }
+
+            seen[ name ] = true;
+            this._checkRefs( xml, valuepos, value );
+        }
+    }
+
+
+    /**
+     * Check that every ampersand begins a known reference
+     */
+    _checkRefs( xml, pos, text )
+    {
+        const bad = text.search( _badref );
+
+        if ( bad !== -1 ) {
+            throw this._error( xml, pos + bad, "Invalid entity reference" );
+        }
+    }
+
+
+    _error( xml, pos, message )
+    {
+        const lines  = xml.substr( 0, pos ).split( "\n" );
+        const line   = lines.length;
+        const column = lines[ lines.length - 1 ].length + 1;
+
+        const e = SyntaxError( `${message} (line ${line}, column ${column})` );
+
+        e.line   = line;
+        e.column = column;
+        e.text   = xml.split( "\n" )[ line - 1 ];
+
+        return e;
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * XML element tree
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+/**
+ * Element of an XML tree
+ *
+ * Generators build trees of elements rather than strings so that all
+ * output is serialized consistently (see XmlPrinter) and so that the
+ * structure of generated XML can be inspected.
+ *
+ * Children are either elements or text; text and attribute values are
+ * unescaped, since escaping is the responsibility of the printer.
+ */
+module.exports = class XmlElement
+{
+    /**
+     * Create element
+     *
+     * Attributes with undefined values are omitted, as are null and
+     * undefined children; nested arrays of children are flattened.  This
+     * allows optional attributes and children to be given inline.
+     *
+     * @param {string}  name     element name, including any prefix
+     * @param {Object=} attrs    attribute values indexed by name
+     * @param {Array=}  children child elements and text
+     */
+    constructor( name, attrs, children )
+    {
+        const attrsrc = attrs || {};
+
+        this.name = name;
+
+        this.attrs = Object.keys( attrsrc )
+            .filter( attr => attrsrc[ attr ] !== undefined )
+            .reduce( ( attrs, attr ) =>
+            {
+                attrs[ attr ] = String( attrsrc[ attr ] );
+                return attrs;
+            }, {} );
+
+        this.children = this._flatten( children || [] )
+            .filter( child => ( child !== null ) && ( child !== undefined ) );
+    }
+
+
+    /**
+     * Child elements with the given name
+     *
+     * @param {string} name element name
+     *
+     * @return {Array<XmlElement>} matching children in document order
+     */
+    find( name )
+    {
+        return this.children.filter(
+            child => ( child instanceof XmlElement ) && ( child.name === name )
+        );
+    }
+
+
+    _flatten( children )
+    {
+        return children.reduce(
+            ( flat, child ) => flat.concat(
+                Array.isArray( child ) ? this._flatten( child ) : [ child ]
+            ),
+            []
+        );
+    }
+}
@@ -21,15 +21,106 @@
 
 'use strict';
 
+const SourceLocation = require( './SourceLocation' );
+const XmlPrinter     = require( './XmlPrinter' );
+const XmlText        = require( './XmlText' );
+
+
+const _xmlns = {
+    program: "http://www.lovullo.com/program",
+    rater:   "http://www.lovullo.com/rater",
+    map:     "http://www.lovullo.com/rater/map",
+    calc:    "http://www.lovullo.com/calc",
+    tpl:     "http://www.lovullo.com/rater/apply-template",
+    assert:  "http://www.lovullo.com/assert",
+};
+
+// destination document of each group of generated XML; groups not listed
+// here are placed in the package
+const _docgroups = {
+    program: [ 'questions', 'todo' ],
+    map:     [ 'inmaps' ],
+};
+
+
 /**
  * Output template XML
  *
  * The output is grouped by type.  The output itself has no root node;
  * it is intended to be manually pasted and manipulated.
+ *
+ * Alternatively, the groups may be placed into a Program XML document, a
+ * TAME package and a program map (see #toProgram).
+ *
+ * Lines of the specification that could not be parsed (see SpecParser's
+ * lenient mode) are output as TODO comments.
  */
 module.exports = class XmlOutput
 {
+    /**
+     * Initialize output
+     *
+     * The printer should be the same as that used to generate the XML
+     * (see NodeXmlGenerator) so that documents are indented consistently.
+     *
+     * @param {XmlPrinter=} printer XML printer
+     */
+    constructor( printer )
+    {
+        this._printer = printer || new XmlPrinter();
+    }
+
+
     fromGraph( graph )
+    {
+        const groups = this._groupXml( graph );
+
+        return Object.keys( groups ).map( group =>
+        {
+            return `<!--\n\n\n  ${group}\n\n\n-->\n` +
+                groups[ group ].join( "\n\n" );
+        } ).join( "\n\n" );
+    }
+
+
+    /**
+     * Generate well-formed documents from generated XML
+     *
+     * Questions are placed into a Program XML document; input maps into a
+     * program map; and everything else (typedefs, classifications,
+     * params, submits, forms, etc) into a TAME package that the program
+     * imports.
+     *
+     * @param {Graph} graph graph with generated XML
+     *
+     * @return {Object} document source indexed by file name
+     */
+    toProgram( graph )
+    {
+        const groups = this._groupXml( graph );
+        const docs   = { program: [], 'package': [], map: [] };
+
+        Object.keys( groups ).forEach( group =>
+        {
+            const doc = Object.keys( _docgroups ).filter(
+                doc => _docgroups[ doc ].indexOf( group ) !== -1
+            )[ 0 ] || 'package';
+
+            docs[ doc ].push(
+                XmlText.comment( group ) + "\n" +
+                    groups[ group ].join( "\n\n" )
+            );
+        } );
+
+        return {
+            'program.xml': this._programDoc( docs.program ),
+            'package.xml': this._packageDoc( docs[ 'package' ] ),
+            'map.xml':     this._mapDoc( docs.map ),
+        };
+    }
+
+
+    _groupXml( graph )
     {
         const groups = {};
 
@@ -37,6 +128,12 @@ module.exports = class XmlOutput
         {
             const node_type = node.data.type;
 
+            if ( node_type === 'error' ) {
+                groups.todo = groups.todo || [];
+                groups.todo.push( this._todoComment( node ) );
+                return;
+            }
+
             if ( node_type !== 'xml' ) {
                 return;
             }
@@ -47,10 +144,86 @@ module.exports = class XmlOutput
             groups[ group ].push( node.data.label );
         } );
 
-        return Object.keys( groups ).map( group =>
-        {
-            return `<!--\n\n\n  ${group}\n\n\n-->\n` +
-                groups[ group ].join( "\n\n" );
-        } ).join( "\n\n" );
+        return groups;
+    }
+
+
+    _programDoc( chunks )
+    {
+        return this._document(
+            'program',
+            {
+                xmlns:          _xmlns.program,
+                'xmlns:xsi':    "http://www.w3.org/2001/XMLSchema-instance",
+                'xmlns:c':      _xmlns.calc,
+                'xmlns:t':      _xmlns.tpl,
+                'xmlns:assert': _xmlns.assert,
+                id:             "TODO",
+                title:          "TODO",
+            },
+            `<import package="package" />\n\n` +
+                `<step title="TODO">\n` +
+                this._printer.indent(
+                    `<group id="TODO" title="TODO">\n` +
+                        this._printer.indent( chunks.join( "\n\n" ) ) + "\n" +
+                        `</group>`
+                ) + "\n" +
+                `</step>`
+        );
+    }
+
+
+    _packageDoc( chunks )
+    {
+        return this._document(
+            'package',
+            {
+                xmlns:     _xmlns.rater,
+                'xmlns:c': _xmlns.calc,
+                'xmlns:t': _xmlns.tpl,
+                desc:      "TODO",
+            },
+            `<!-- TODO: import packages providing templates -->\n\n` +
+                chunks.join( "\n\n\n" )
+        );
+    }
+
+
+    _mapDoc( chunks )
+    {
+        return this._document(
+            'program-map',
+            {
+                xmlns:      _xmlns.map,
+                'xmlns:lv': _xmlns.rater,
+            },
+            chunks.join( "\n\n" )
+        );
+    }
+
+
+    _document( root, attrs, body )
+    {
+        const attrxml = Object.keys( attrs ).map(
+            attr => `${attr}="${XmlText.escape( attrs[ attr ] )}"`
+        );
+
+        // align attributes beneath the first
+        const attrsep = "\n" + ' '.repeat( root.length + 2 );
+
+        return `<?xml version="1.0" encoding="utf-8"?>\n` +
+            `<${root} ${attrxml.join( attrsep )}>\n\n` +
+            this._printer.indent( body ) + "\n" +
+            `</${root}>\n`;
+    }
+
+
+    _todoComment( node )
+    {
+        const { value, loc, offset } = node.data;
+
+        return XmlText.comment(
+            'TODO: ' + SourceLocation.format( value, loc, offset ) + "\n"
+        );
     }
 }
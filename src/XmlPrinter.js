@@ -0,0 +1,154 @@
+/**
+ * XML pretty-printer
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+const XmlElement = require( './XmlElement' );
+const XmlText    = require( './XmlText' );
+
+
+/**
+ * Serialize XmlElement trees
+ *
+ * Each element is placed on its own line, indented beneath its parent;
+ * elements containing only text are kept on a single line.  An opening
+ * tag that would extend beyond the configured width has each of its
+ * attributes placed on its own line, aligned beneath the first.
+ */
+module.exports = class XmlPrinter
+{
+    /**
+     * Initialize printer
+     *
+     * The `indent' is either a number of spaces or the string to indent
+     * each level by (default 2 spaces); `width' is the preferred maximum
+     * line length (default 80).
+     *
+     * @param {Object=} options printer options
+     */
+    constructor( options )
+    {
+        const { indent = 2, width = 80 } = options || {};
+
+        this._ws = ( typeof indent === 'number' )
+            ? ' '.repeat( indent )
+            : indent;
+
+        this._width = width;
+    }
+
+
+    /**
+     * Serialize elements
+     *
+     * Multiple elements are separated by a blank line.
+     *
+     * @param {XmlElement|Array<XmlElement>} elements elements to serialize
+     *
+     * @return {string} XML
+     */
+    print( elements )
+    {
+        return [].concat( elements )
+            .map( element => this._lines( element, '' ).join( "\n" ) )
+            .join( "\n\n" );
+    }
+
+
+    /**
+     * Indent each non-empty line of previously serialized XML
+     *
+     * @param {string}  xml   XML to indent
+     * @param {number=} depth number of levels to indent by (default 1)
+     *
+     * @return {string} indented XML
+     */
+    indent( xml, depth )
+    {
+        const ws = this._ws.repeat( ( depth === undefined ) ? 1 : depth );
+
+        return xml.replace( /^(?=.)/mg, ws );
+    }
+
+
+    _lines( node, ws )
+    {
+        // every line of multi-line text is indented, not just the first
+        if ( !( node instanceof XmlElement ) ) {
+            return XmlText.escape( node ).split( "\n" ).map(
+                line => ( line === '' ) ? line : ws + line
+            );
+        }
+
+        const { name, children } = node;
+
+        const open = this._openTag( node, ws );
+
+        if ( children.length === 0 ) {
+            return this._append( open, ' />' );
+        }
+
+        const text = children.every( child => !( child instanceof XmlElement ) )
+            && children.map( XmlText.escape ).join( '' );
+
+        if ( text && !/\n/.test( text ) ) {
+            return this._append( open, `>${text}</${name}>` );
+        }
+
+        const inner = children.reduce(
+            ( lines, child ) => lines.concat(
+                this._lines( child, ws + this._ws )
+            ),
+            []
+        );
+
+        return this._append( open, '>' ).concat( inner, [ `${ws}</${name}>` ] );
+    }
+
+
+    _openTag( node, ws )
+    {
+        const attrs = Object.keys( node.attrs ).map(
+            attr => `${attr}="${XmlText.escape( node.attrs[ attr ] )}"`
+        );
+
+        const line = [ `${ws}<${node.name}` ].concat( attrs ).join( ' ' );
+
+        // leave room for the longest tag ending (` />')
+        if ( ( attrs.length < 2 ) || ( ( line.length + 3 ) <= this._width ) ) {
+            return [ line ];
+        }
+
+        const align = ws + ' '.repeat( node.name.length + 2 );
+
+        return [ `${ws}<${node.name} ${attrs[ 0 ]}` ].concat(
+            attrs.slice( 1 ).map( attr => align + attr )
+        );
+    }
+
+
+    _append( lines, str )
+    {
+        const last = lines.length - 1;
+
+        return lines.slice( 0, last ).concat( [ lines[ last ] + str ] );
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * XML text serialization
+ *
+ *  Copyright (C) 2017 R-T Specialty, LLC.
+ *
+ *  This file is part of liza-snrsl.
+ *
+ *  liza-snrsl is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU General Public License as published by
+ *  the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU General Public License for more details.
+ *
+ *  You should have received a copy of the GNU General Public License
+ *  along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+'use strict';
+
+
+/**
+ * Conversion of specification text for inclusion in generated XML
+ *
+ * All specification text placed into generated XML must pass through
+ * here, since it is full of ampersands, quotes and angle brackets.
+ */
+module.exports = class XmlText
+{
+    /**
+     * Escape text for use as either character data or an attribute value
+     *
+     * @param {*} str text to escape (converted to a string)
+     *
+     * @return {string} escaped text
+     */
+    static escape( str )
+    {
+        return String( str )
+            .replace( /&/g, '&amp;' )
+            .replace( /"/g, '&quot;' )
+            .replace( /</g, '&lt;' )
+            .replace( />/g, '&gt;' );
+    }
+
+
+    /**
+     * Produce comment containing text
+     *
+     * Comments may contain neither `--' nor end in `-'.
+     *
+     * @param {*} str comment text (converted to a string)
+     *
+     * @return {string} comment XML
+     */
+    static comment( str )
+    {
+        const text = String( str )
+            .replace( /-(?=-|$)/g, '- ' );
+
+        return `<!-- ${text} -->`;
+    }
+}